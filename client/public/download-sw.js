@@ -0,0 +1,52 @@
+// Service worker that turns chunks posted from the page into a normal browser download.
+// The page registers a made-up URL with a MessagePort, then opens that URL in a hidden iframe;
+// we answer the request with a stream fed from the port, so big received files flow straight
+// to disk instead of piling up in the tab's memory. After every chunk we answer 'pull' once we
+// have room for the next one, so a download slower than the link holds the page back instead
+// of queueing up here
+
+const streams = new Map()  // url -> { stream, filename, size }
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+self.addEventListener('message', (event) => {
+	const { url, filename, size } = event.data || {}
+	const port = event.ports[0]
+	if (!url || !port) return
+	let waiting = false  // The page sent a chunk we had no room for yet - pull() answers it
+	const stream = new ReadableStream({
+		start(controller) {
+			port.onmessage = ({ data }) => {
+				if (data === 'end') return controller.close()
+				if (data === 'abort') return controller.error(new Error('Download aborted'))
+				controller.enqueue(new Uint8Array(data))
+				if (controller.desiredSize > 0) port.postMessage('pull')
+				else waiting = true
+			}
+		},
+		pull() {
+			if (!waiting) return
+			waiting = false
+			port.postMessage('pull')
+		},
+		// The user cancelled the download in the browser - let the page know
+		cancel() {
+			port.postMessage('cancelled')
+		}
+	}, new ByteLengthQueuingStrategy({ highWaterMark: 1024 * 1024 }))
+	streams.set(url, { stream, filename, size })
+	port.postMessage('ready')
+})
+
+self.addEventListener('fetch', (event) => {
+	const entry = streams.get(event.request.url)
+	if (!entry) return
+	streams.delete(event.request.url)
+	const headers = {
+		'Content-Type': 'application/octet-stream',
+		'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(entry.filename)}`
+	}
+	if (typeof entry.size === 'number') headers['Content-Length'] = String(entry.size)
+	event.respondWith(new Response(entry.stream, { headers }))
+})
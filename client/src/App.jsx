@@ -1,435 +1,2355 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
+import { clearChat, createBitmap, deleteTransfer, hasChunk, listChat, listTransfers, loadTransfer, markChunk, missingRanges, saveChatEntry, saveTransfer } from './transferStore'
+import { canPickFolder, canStreamDownloads, folderAccess, forgetDownloadFolder, loadDownloadFolder, openIndexedDbSink, openSink, pickDownloadFolder } from './sinks'
+import { createZip } from './zip'
+import { DIGEST_SIZE, FRAME_ACK, ReliabilityLayer, decodeFrame, systemClock } from './reliability'
+import { createImpairedChannel } from './simulator'
+import { addEvent, addSample, connectionDetails, createTimeline, endTimeline, timelineToCSV, timelineToJSON } from './timeline'
 
 // This is where our signaling server lives - it helps peers find each other
 const SIGNALING_URL = (import.meta.env.VITE_SIGNALING_URL) || 'ws://localhost:3001/ws'
+// The same server over plain HTTP, for things like minting invite links
+const SERVER_URL = (import.meta.env.VITE_SERVER_URL) || SIGNALING_URL.replace(/^ws/, 'http').replace(/\/ws$/, '')
+
+// If the signaling server goes away (Wi-Fi blip, laptop sleep, server restart) we dial again,
+// waiting twice as long after every failed attempt, up to a limit
+const SIGNALING_RETRY_BASE_MS = 1000
+const SIGNALING_RETRY_MAX_MS = 30000
 
 // This hook manages our WebSocket connection to the signaling server
-// It's like a matchmaking service that helps two browsers connect to each other
-function useSignaling(roomId) {
+// It's like a matchmaking service that helps two browsers connect to each other.
+// The server gives us a peer id when we join and keeps us posted on who else is in
+// the room (`peers`), so we know whom to call.
+// When the socket drops we reconnect and rejoin, asking for the peer id we had before -
+// that way the other peers still know us under the same name and existing calls carry on.
+// Protected rooms need a `password` or an `invite` token to get in. If the server says no,
+// `status` becomes 'rejected' and `joinError` says why - we don't keep knocking after that.
+// `status` is 'connecting', 'joined', 'reconnecting' or 'rejected'
+function useSignaling(roomId, { password, invite } = {}) {
 	const wsRef = useRef(null)
+	const listenersRef = useRef(new Set())  // Outlive any single socket, so handlers survive a reconnect
+	const [status, setStatus] = useState('connecting')
+	const [joinError, setJoinError] = useState('')
 	const [joined, setJoined] = useState(false)
+	const [peerId, setPeerId] = useState(null)
+	const [peers, setPeers] = useState([])
+	const [relay, setRelay] = useState(null)    // The server's relay limits, or null if it doesn't relay
+	const [turnServers, setTurnServers] = useState([])  // TURN servers with credentials - only members of a room get them
 
 	useEffect(() => {
-		const ws = new WebSocket(SIGNALING_URL)
-		wsRef.current = ws
-		ws.onopen = () => {
-			ws.send(JSON.stringify({ type: 'join', roomId }))
-		}
-		ws.onmessage = (ev) => {
-			const msg = JSON.parse(ev.data)
-			if (msg.type === 'joined') {
-				setJoined(true)
+		if (!roomId) return  // Nowhere to go (yet)
+		let closed = false  // Set when we leave the room on purpose (or were turned away) - then we stay away
+		let attempt = 0
+		let retryTimer = null
+		let turnTimer = null  // Asks for fresh TURN credentials before the ones we have expire
+		let lastPeerId = null
+		let lastRejoin = null  // The server's rejoin token: gets this peer id back in after a drop, even if `invite` has expired by then
+		setStatus('connecting')
+		setJoinError('')
+		setJoined(false)
+		setPeerId(null)
+		setPeers([])
+		setTurnServers([])
+
+		const takeTurn = (ws, turn) => {
+			clearTimeout(turnTimer)
+			setTurnServers(turn ? turn.iceServers : [])
+			if (turn && turn.ttl) turnTimer = setTimeout(() => ws.send(JSON.stringify({ type: 'turn-credentials', roomId })), turn.ttl * 1000 * 0.8)
+		}
+
+		const connect = () => {
+			const ws = new WebSocket(SIGNALING_URL)
+			wsRef.current = ws
+			ws.onopen = () => {
+				ws.send(JSON.stringify({ type: 'join', roomId, peerId: lastPeerId, password: password || undefined, invite: lastRejoin || invite || undefined }))
+			}
+			ws.onmessage = (ev) => {
+				let msg
+				try {
+					msg = JSON.parse(ev.data)
+				} catch {
+					return
+				}
+				if (msg.type === 'joined') {
+					attempt = 0
+					lastPeerId = msg.peerId
+					lastRejoin = msg.rejoin || null
+					setRelay(msg.relay || null)
+					takeTurn(ws, msg.turn)
+					setStatus('joined')
+					setJoined(true)
+					setPeerId(msg.peerId)
+					setPeers(msg.peers || [])
+				}
+				if (msg.type === 'turn-credentials') takeTurn(ws, msg.turn)
+				if (msg.type === 'peer-joined') {
+					setPeers((prev) => (prev.includes(msg.peerId) ? prev : [...prev, msg.peerId]))
+				}
+				if (msg.type === 'peer-left') {
+					setPeers((prev) => prev.filter((id) => id !== msg.peerId))
+				}
+				if (msg.type === 'join-error') {
+					closed = true
+					setStatus('rejected')
+					setJoinError(msg.message)
+					ws.close()
+				}
+				if (msg.type === 'error') {
+					console.warn('Signaling error:', msg.message)
+					// Knocked too often - hang up and knock again after the usual backoff
+					if (msg.code === 'too-many-joins') ws.close()
+				}
+				if (msg.roomId !== roomId) return
+				for (const listener of [...listenersRef.current]) listener(msg)
+			}
+			ws.onclose = () => {
+				clearTimeout(turnTimer)  // The next socket gets new ones with 'joined'
+				setJoined(false)
+				if (closed) return
+				// Try again later. The jitter keeps a whole room from hammering a restarted server at once
+				const delay = Math.min(SIGNALING_RETRY_MAX_MS, SIGNALING_RETRY_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2)
+				attempt++
+				setStatus('reconnecting')
+				retryTimer = setTimeout(connect, delay)
 			}
 		}
-		return () => ws.close()
-	}, [roomId])
+		connect()
+
+		return () => {
+			closed = true
+			clearTimeout(retryTimer)
+			clearTimeout(turnTimer)
+			wsRef.current.close()
+		}
+	}, [roomId, password, invite])
 
 	const send = (msg) => {
 		if (!wsRef.current || wsRef.current.readyState !== 1) return
 		wsRef.current.send(JSON.stringify(msg))
 	}
 
+	const isOpen = () => Boolean(wsRef.current) && wsRef.current.readyState === 1
+	const bufferedAmount = () => (wsRef.current ? wsRef.current.bufferedAmount : 0)
+
 	const onMessage = (handler) => {
-		if (!wsRef.current) return () => {}
-		const ws = wsRef.current
-		const listener = (ev) => {
+		const listener = (msg) => {
 			try {
-				const msg = JSON.parse(ev.data)
-				if (msg.roomId !== roomId) return
 				handler(msg)
 			} catch {}
 		}
-		ws.addEventListener('message', listener)
-		return () => ws.removeEventListener('message', listener)
+		listenersRef.current.add(listener)
+		return () => listenersRef.current.delete(listener)
 	}
 
-	return { joined, send, onMessage }
+	return { status, joinError, joined, peerId, peers, relay, turnServers, send, isOpen, bufferedAmount, onMessage }
 }
 
-// This creates a WebRTC peer connection - the magic that lets browsers talk directly to each other
-// We also set up handlers for when the other peer sends us data or wants to connect
-function createPeer(signaling, roomId, onChannel) {
-	const pc = new RTCPeerConnection({
-		iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-	})
+// Used when the server can't tell us its ICE servers
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }]
+
+// The STUN servers to use come from the server (`/ice-config`). TURN isn't in there - only members
+// of a room get that, from useSignaling. If the server doesn't answer we fall back to a public
+// STUN server, which is enough on a LAN
+function useIceConfig() {
+	const [config, setConfig] = useState(null)  // { iceServers, ttl } - null until the first answer
+
+	useEffect(() => {
+		let cancelled = false
+		let timer = null
+		const load = async () => {
+			let next
+			try {
+				const res = await fetch(`${SERVER_URL}/ice-config`)
+				if (!res.ok) throw new Error(`The server said ${res.status}`)
+				next = await res.json()
+			} catch (err) {
+				console.warn('Could not fetch the ICE config, using the default STUN server', err)
+				next = { iceServers: DEFAULT_ICE_SERVERS, ttl: 0 }
+			}
+			if (cancelled) return
+			setConfig(next)
+			if (next.ttl) timer = setTimeout(load, next.ttl * 1000 * 0.8)
+		}
+		load()
+		return () => {
+			cancelled = true
+			clearTimeout(timer)
+		}
+	}, [])
+
+	return config
+}
+
+// How long a new connection gets to come up at all before we call it failed
+const ICE_CONNECT_TIMEOUT_MS = 15000
+// Give a 'disconnected' connection this long to come back by itself before restarting ICE
+const ICE_DISCONNECT_GRACE_MS = 3000
+// How long one ICE restart gets before we try another, and how many we try before giving up
+const ICE_RESTART_TIMEOUT_MS = 10000
+const MAX_ICE_RESTARTS = 5
+
+// This creates a WebRTC peer connection - the magic that lets browsers talk directly to each other.
+// Everything we signal is addressed to `remotePeerId`, and we only listen to what it sends us.
+//
+// Nobody has to decide who calls whom: we use the "perfect negotiation" pattern. Both sides
+// simply make an offer whenever the browser says the connection needs (re)negotiating. If both
+// offers cross in the mail, the "polite" peer backs off (rolls back its own offer and answers
+// the other one) while the "impolite" one ignores the incoming offer. Which is which comes from
+// the peer ids the server handed out, so both sides always agree.
+//
+// If the path between us breaks, we don't give up on the connection: we do an "ICE restart",
+// which gathers fresh candidates and renegotiates them over the same RTCPeerConnection. The
+// DataChannel (and everything queued on it) survives that. `onPhase` hears how it's going:
+// 'checking' (first attempt), 'connected', 'recovering' (restarting) or 'failed' (we gave up,
+// or never got through in the first place).
+// `rtcConfig` holds the ICE servers (and maybe iceTransportPolicy: 'relay') - see useIceConfig
+function createPeer(signaling, roomId, remotePeerId, polite, rtcConfig, onPhase = () => {}) {
+	const pc = new RTCPeerConnection(rtcConfig)
+	let makingOffer = false  // Between starting our offer and sending it
+	let ignoreOffer = false  // We (impolite) ignored a colliding offer, so its candidates will fail too
+
+	// Our unreliable/unordered communication line. Both sides create it with the same id
+	// ("negotiated"), so there's no question of who opens it - and it kicks off negotiation
+	const dc = pc.createDataChannel('data', { negotiated: true, id: 0, ordered: false, maxRetransmits: 0 })
+
+	// The browser wants an offer sent (new channel, ICE restart...) - so send one
+	pc.onnegotiationneeded = async () => {
+		try {
+			makingOffer = true
+			await pc.setLocalDescription()
+			signaling.send({ type: 'offer', roomId, to: remotePeerId, sdp: pc.localDescription })
+		} catch (err) {
+			console.warn('Could not create an offer', err)
+		} finally {
+			makingOffer = false
+		}
+	}
+
+	// Connection recovery. 'disconnected' often heals by itself within a few seconds, so we give
+	// it a moment first; 'failed' won't, so we restart right away. If a restart doesn't get us
+	// back in time we try again, a few times
+	let everConnected = false
+	let restarts = 0
+	let restartTimer = null
+	const connectTimer = setTimeout(() => {
+		if (!everConnected) onPhase('failed')
+	}, ICE_CONNECT_TIMEOUT_MS)
+	const isUp = () => pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed'
+	const scheduleRestart = (delay) => {
+		clearTimeout(restartTimer)
+		restartTimer = setTimeout(() => {
+			if (isUp() || pc.signalingState === 'closed') return
+			if (restarts >= MAX_ICE_RESTARTS) {
+				onPhase('failed')
+				return
+			}
+			restarts++
+			pc.restartIce()  // Triggers negotiationneeded, so the new offer goes out as usual
+			scheduleRestart(ICE_RESTART_TIMEOUT_MS)
+		}, delay)
+	}
+	pc.oniceconnectionstatechange = () => {
+		const state = pc.iceConnectionState
+		if (isUp()) {
+			clearTimeout(restartTimer)
+			clearTimeout(connectTimer)
+			everConnected = true
+			restarts = 0
+			onPhase('connected')
+		} else if (state === 'checking') {
+			onPhase(everConnected ? 'recovering' : 'checking')
+		} else if (state === 'disconnected') {
+			onPhase('recovering')
+			scheduleRestart(ICE_DISCONNECT_GRACE_MS)
+		} else if (state === 'failed') {
+			onPhase('recovering')
+			scheduleRestart(0)
+		}
+	}
+
+	// Kick off a recovery attempt now, e.g. because we just got back onto the signaling
+	// server and the offers of earlier restarts may never have reached the other side
+	const recover = () => {
+		if (!everConnected || isUp()) return
+		restarts = 0
+		scheduleRestart(0)
+	}
 
 	// When we discover a way to connect (like our IP address), tell the other peer about it
 	pc.onicecandidate = (e) => {
 		if (e.candidate) {
-			signaling.send({ type: 'candidate', roomId, candidate: e.candidate })
+			signaling.send({ type: 'candidate', roomId, to: remotePeerId, candidate: e.candidate })
 		}
 	}
-	// When the other peer opens a data channel, we'll use it to send messages and files
-	pc.ondatachannel = (e) => {
-		onChannel(e.channel)
-	}
 
-	// Listen for messages from the signaling server and handle the WebRTC handshake
-	const unsubscribe = signaling.onMessage(async (msg) => {
-		// Someone wants to connect to us - let's accept their offer and send back our answer
-		if (msg.type === 'offer') {
-			await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp))
-			const answer = await pc.createAnswer()
-			await pc.setLocalDescription(answer)
-			signaling.send({ type: 'answer', roomId, sdp: pc.localDescription })
-		}
-		// The other peer accepted our connection offer - great!
-		if (msg.type === 'answer') {
-			await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp))
+	// Handle the WebRTC handshake messages the other peer sends us through the signaling server
+	const handleSignal = async (msg) => {
+		if (msg.from !== remotePeerId) return  // Someone else in the room - not our call
+		try {
+			if (msg.type === 'offer' || msg.type === 'answer') {
+				// Both of us offered at the same time ("glare")?
+				const collision = msg.type === 'offer' && (makingOffer || pc.signalingState !== 'stable')
+				ignoreOffer = !polite && collision
+				if (ignoreOffer) return  // Impolite: ours wins, they'll answer it
+				if (collision) {
+					// Polite: take our offer back and go with theirs
+					await Promise.all([
+						pc.setLocalDescription({ type: 'rollback' }),
+						pc.setRemoteDescription(msg.sdp)
+					])
+				} else {
+					await pc.setRemoteDescription(msg.sdp)
+				}
+				// They want to connect to us - let's accept their offer and send back our answer
+				if (msg.type === 'offer') {
+					await pc.setLocalDescription()
+					signaling.send({ type: 'answer', roomId, to: remotePeerId, sdp: pc.localDescription })
+				}
+			}
+			// The other peer found a way to connect - let's try using this path
+			if (msg.type === 'candidate') {
+				try {
+					await pc.addIceCandidate(msg.candidate)
+				} catch (err) {
+					if (!ignoreOffer) throw err  // Candidates of an offer we ignored are expected to fail
+				}
+			}
+		} catch (err) {
+			console.warn('Signaling with', remotePeerId, 'failed', err)
 		}
-		// The other peer found a way to connect - let's try using this path
-		if (msg.type === 'candidate') {
-			try {
-				await pc.addIceCandidate(new RTCIceCandidate(msg.candidate))
-			} catch {}
+	}
+	const unsubscribe = signaling.onMessage(handleSignal)
+	const cleanup = () => {
+		clearTimeout(restartTimer)
+		clearTimeout(connectTimer)
+		unsubscribe()
+	}
+
+	return { pc, dc, handleSignal, recover, cleanup }
+}
+
+// Frames travel through the signaling server as base64 text
+function toBase64(buffer) {
+	const bytes = new Uint8Array(buffer)
+	let binary = ''
+	for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+	return btoa(binary)
+}
+
+function fromBase64(text) {
+	const binary = atob(text)
+	const bytes = new Uint8Array(binary.length)
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+	return bytes.buffer
+}
+
+// How often the relay channel checks whether the signaling socket's send buffer drained
+const RELAY_DRAIN_POLL_MS = 50
+
+// Plan B when no direct path works: a stand-in for the DataChannel that carries our frames
+// through the signaling server (`relay` messages). It looks just like a DataChannel to the
+// reliability layer - readyState, send(), bufferedAmount and bufferedamountlow, onmessage - so
+// the layer runs over it unchanged. The server may drop frames when we go over its rate cap;
+// the layer resends them and congestion control slows down, just like on a lossy link.
+// An empty relay message tells the other side we moved over (see `hello`)
+function createRelayChannel(signaling, roomId, remotePeerId) {
+	const listeners = { open: [], close: [], bufferedamountlow: [] }
+	let closed = false
+	let drainTimer = null
+	const channel = {
+		binaryType: 'arraybuffer',
+		bufferedAmountLowThreshold: 0,
+		onmessage: null,
+		get readyState() {
+			if (closed) return 'closed'
+			return signaling.isOpen() ? 'open' : 'connecting'
+		},
+		get bufferedAmount() {
+			return signaling.bufferedAmount()
+		},
+		send(frame) {
+			signaling.send({ type: 'relay', roomId, to: remotePeerId, data: toBase64(frame) })
+		},
+		hello() {
+			signaling.send({ type: 'relay', roomId, to: remotePeerId, data: '' })
+		},
+		addEventListener(type, listener) {
+			listeners[type]?.push(listener)
+		},
+		close() {
+			if (closed) return
+			closed = true
+			clearInterval(drainTimer)
+			unsubscribe()
+			for (const listener of listeners.close) listener()
 		}
+	}
+	// WebSockets have no bufferedamountlow event, so we watch the buffer ourselves - and
+	// whether the signaling socket is (back) up, which is when this channel "opens"
+	let wasHigh = false
+	let wasOpen = channel.readyState === 'open'
+	drainTimer = setInterval(() => {
+		const high = channel.bufferedAmount > channel.bufferedAmountLowThreshold
+		if (wasHigh && !high) for (const listener of listeners.bufferedamountlow) listener()
+		wasHigh = high
+		const open = channel.readyState === 'open'
+		if (open && !wasOpen) for (const listener of listeners.open) listener()
+		wasOpen = open
+	}, RELAY_DRAIN_POLL_MS)
+	const unsubscribe = signaling.onMessage((msg) => {
+		if (msg.type !== 'relay' || msg.from !== remotePeerId || !msg.data) return
+		channel.onmessage?.({ data: fromBase64(msg.data) })
 	})
+	return channel
+}
+
+const textEncoder = new TextEncoder()
+
+async function sha256(data) {
+	return new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+}
+
+function toHex(bytes) {
+	return [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('')
+}
 
-	return { pc, cleanup: unsubscribe }
-}
-
-// This is our custom reliability system! WebRTC DataChannels are unreliable by default,
-// so we build our own "guaranteed delivery" system on top of it
-// Think of it like registered mail - we wait for confirmation before sending the next piece
-function ReliabilityLayer(onDeliver, onStats) {
-	// This keeps track of our reliability system's state
-	const state = {
-		nextSeq: 0,                    // What sequence number to send next
-		awaitingAckSeq: null,          // Are we waiting for a confirmation?
-		inflightPayload: null,         // What message are we currently sending
-		inflightTimestamp: 0,          // When did we send it (for timing)
-		timer: null,                   // Timer for retrying if no response
-		timeoutMs: 600,                // How long to wait before retrying
-		stats: { sent: 0, received: 0, acks: 0, retransmits: 0, rttMs: 0, bytesSent: 0, bytesReceived: 0 },
-		rttHistory: [],                // Keep track of recent response times
-		rttHistoryMax: 40              // Don't store too much history
-	}
-
-	// Send a message and wait for confirmation - like sending registered mail
-	function send(dc, payload) {
-		if (!dc || dc.readyState !== 'open') return false  // Can't send if not connected
-		if (state.awaitingAckSeq !== null) return false   // Already waiting for a response
-		const seq = state.nextSeq
-		state.awaitingAckSeq = seq
-		state.inflightPayload = payload
-		state.inflightTimestamp = performance.now()
-		const serialized = JSON.stringify({ t: 'data', seq, payload })
-		dc.send(serialized)
-		state.stats.sent++
-		state.stats.bytesSent += serialized.length
-		update()
-		// If we don't hear back in time, try sending again (like following up on an email)
-		state.timer = setTimeout(() => {
-			if (state.awaitingAckSeq === seq) {
-				const retry = JSON.stringify({ t: 'data', seq, payload })
-				dc.send(retry)
-				state.stats.sent++
-				state.stats.retransmits++
-				state.stats.bytesSent += retry.length
-				update()
-				clearTimeout(state.timer)
-				state.timer = setTimeout(() => {}, state.timeoutMs)
+function bytesEqual(a, b) {
+	if (a.byteLength !== b.byteLength) return false
+	for (let i = 0; i < a.byteLength; i++) if (a[i] !== b[i]) return false
+	return true
+}
+
+// The whole-file checksum: SHA-256 over the SHA-256 of every chunk, in order. WebCrypto can't
+// hash a stream bit by bit, but this can be built while streaming and checked the same way on
+// both ends - and since every chunk digest is SHA-256, it pins down every byte of the file
+async function fileDigest(chunkDigests) {
+	const all = new Uint8Array(chunkDigests.length * DIGEST_SIZE)
+	chunkDigests.forEach((digest, i) => all.set(digest, i * DIGEST_SIZE))
+	return toHex(await sha256(all))
+}
+
+// Reads a file (or any Blob) front to back with blob.stream() and cuts it into exact
+// chunkSize pieces, without ever slicing or loading the whole thing
+async function* readChunks(blob, chunkSize) {
+	const reader = blob.stream().getReader()
+	let buffer = new Uint8Array(chunkSize)
+	let filled = 0
+	let index = 0
+	try {
+		for (;;) {
+			const { done, value } = await reader.read()
+			if (done) break
+			let offset = 0
+			while (offset < value.length) {
+				const n = Math.min(chunkSize - filled, value.length - offset)
+				buffer.set(value.subarray(offset, offset + n), filled)
+				filled += n
+				offset += n
+				if (filled === chunkSize) {
+					yield { index: index++, data: buffer }
+					buffer = new Uint8Array(chunkSize)
+					filled = 0
+				}
 			}
-		}, state.timeoutMs)
-		state.nextSeq = (state.nextSeq + 1) >>> 0
-		return true
+		}
+		if (filled > 0) yield { index, data: buffer.slice(0, filled) }
+	} finally {
+		reader.cancel().catch(() => {})  // Stop reading if the caller bailed out early
 	}
+}
 
-	// Handle messages coming in from the other peer
-	function handleIncoming(dc, raw) {
-		let msg
-		try { msg = JSON.parse(raw) } catch { return }  // Ignore malformed messages
-		// Got a data message - send back a "got it!" confirmation
-		if (msg.t === 'data') {
-			state.stats.received++
-			state.stats.bytesReceived += raw.length
-			update()
-			dc.send(JSON.stringify({ t: 'ack', seq: msg.seq }))  // Send "ACK" (acknowledgment)
-			onDeliver(msg.payload)  // Actually deliver the message to the app
-			return
-		}
-		// Got a confirmation! The other peer received our message
-		if (msg.t === 'ack') {
-			if (state.awaitingAckSeq === msg.seq) {
-				const now = performance.now()
-				state.stats.acks++
-				// Calculate how long the round trip took (like ping time)
-				const rtt = Math.round(now - state.inflightTimestamp)
-				state.stats.rttMs = rtt
-				state.rttHistory.push(rtt)  // Keep track for the chart
-				if (state.rttHistory.length > state.rttHistoryMax) state.rttHistory.shift()
-				// Clear the "waiting" state - we can send the next message now
-				state.awaitingAckSeq = null
-				state.inflightPayload = null
-				clearTimeout(state.timer)
-				update()
-			}
+// Just the listed chunks, for re-sending the odd missing piece without streaming the whole file again
+async function* sliceChunks(blob, chunkSize, indices) {
+	for (const index of [...indices].sort((a, b) => a - b)) {
+		const data = new Uint8Array(await blob.slice(index * chunkSize, (index + 1) * chunkSize).arrayBuffer())
+		yield { index, data }
+	}
+}
+
+async function hashChunks(blob, chunkSize) {
+	const digests = []
+	for await (const { data } of readChunks(blob, chunkSize)) digests.push(await sha256(data))
+	return digests
+}
+
+// Whether a record of a half-received file can be picked up where it left off for this
+// file-meta: the same file, cut the same way
+function sameFile(record, meta) {
+	return Boolean(record) && record.size === meta.size && record.totalChunks === meta.totalChunks && record.chunkSize === meta.chunkSize
+}
+
+// Turn [start, end) ranges from the other peer into a set of chunk indices we can trust
+function expandRanges(ranges, totalChunks) {
+	const indices = new Set()
+	for (const [start, end] of Array.isArray(ranges) ? ranges : []) {
+		for (let i = Math.max(0, start); i < Math.min(end, totalChunks); i++) indices.add(i)
+	}
+	return indices
+}
+
+// Where a file sits inside a picked folder ("photos/2024/cat.jpg"), or just its name
+function filePath(file) {
+	return file.webkitRelativePath || file.name
+}
+
+// The top-level folder a file was picked from, or '' for a loose file
+function fileFolder(path) {
+	const slash = path.indexOf('/')
+	return slash > 0 ? path.slice(0, slash) : ''
+}
+
+// A stable id for a file, so picking the same file again after a reload maps to the same
+// transfer and the receiver can resume it. Hashing a multi-GB file up front would take ages,
+// so we hash its path, size, last-modified time and the first and last 64KB of content
+async function fileFingerprint(file) {
+	const SAMPLE = 64 * 1024
+	const info = textEncoder.encode(`${filePath(file)}\n${file.size}\n${file.lastModified}\n`)
+	const sample = new Blob([info, file.slice(0, SAMPLE), file.slice(Math.max(0, file.size - SAMPLE))])
+	return toHex(await sha256(await sample.arrayBuffer()))
+}
+
+// How long the sender waits for the receiver to accept a file offer (a person has to click)
+const OFFER_TIMEOUT_MS = 2 * 60 * 1000
+// How long the sender waits for the verdict on file-complete (the receiver re-hashes the whole file)
+const VERIFY_TIMEOUT_MS = 5 * 60 * 1000
+// How many times the sender re-sends missing or corrupt chunks before giving up
+const MAX_REPAIR_ROUNDS = 3
+// How many files are on the wire at the same time; the rest wait in the queue
+const MAX_CONCURRENT_TRANSFERS = 3
+
+// Hands out free window slots to concurrent transfers one chunk at a time, in turn, so one
+// big file can't starve the others sharing the DataChannel (round robin)
+function FairScheduler(reliability) {
+	const waiting = []
+	let running = false
+
+	async function run() {
+		running = true
+		while (waiting.length) {
+			await reliability.whenReady()
+			waiting.shift()()
+			await null  // Let that transfer put its chunk in the window before we look again
 		}
+		running = false
 	}
 
-	function update() {
-		onStats({ ...state.stats, rttHistory: [...state.rttHistory] })
+	// Resolves when it's this transfer's turn to put one chunk in the window
+	function turn() {
+		return new Promise((resolve) => {
+			waiting.push(resolve)
+			if (!running) run()
+		})
 	}
 
-	return { send, handleIncoming }
+	return { turn }
 }
 
-// These functions help us convert file data to text and back again
-// Since DataChannels can only send text, we encode binary files as base64 strings
-// It's like converting a photo to a really long string of letters and numbers
-function arrayBufferToBase64(buffer) {
-	let binary = ''
-	const bytes = new Uint8Array(buffer)
-	const len = bytes.byteLength
-	for (let i = 0; i < len; i++) binary += String.fromCharCode(bytes[i])
-	return btoa(binary)  // Built-in browser function to convert to base64
+// How often we turn the byte counters into throughput/goodput samples for the chart
+const RATE_SAMPLE_MS = 1000
+const RATE_HISTORY_MAX = 60
+
+// One color per peer, for its RTT line and its row in the stats table
+const PEER_COLORS = ['#4da3ff', '#ffcc66', '#c58bff', '#ff8a65', '#4dd0e1', '#f06292']
+
+// How the status line describes the phase each peer connection is in
+const PHASE_LABELS = {
+	signaling: 'signaling',
+	checking: 'ICE checking',
+	connected: 'connected directly',
+	relayed: 'relayed via server',
+	recovering: 'recovering'
+}
+
+// Made-up networks for presentations: on localhost the DataChannel never loses anything, so
+// the retransmit counters would stay at 0. The chances are per frame, the delays one-way
+const NO_IMPAIRMENT = { loss: 0, duplicate: 0, reorder: 0, reorderDelayMs: 30, delayMs: 0, jitterMs: 0 }
+const NETWORK_PRESETS = {
+	off: { label: 'Off (real network)', conditions: NO_IMPAIRMENT },
+	wifi: { label: 'Lossy Wi-Fi', conditions: { loss: 0.05, duplicate: 0.01, reorder: 0.05, reorderDelayMs: 20, delayMs: 5, jitterMs: 20 } },
+	cellular: { label: '3G', conditions: { loss: 0.02, duplicate: 0, reorder: 0.02, reorderDelayMs: 50, delayMs: 100, jitterMs: 60 } },
+	satellite: { label: 'Satellite', conditions: { loss: 0.01, duplicate: 0, reorder: 0, reorderDelayMs: 30, delayMs: 300, jitterMs: 30 } },
+	terrible: { label: 'Terrible', conditions: { loss: 0.2, duplicate: 0.1, reorder: 0.2, reorderDelayMs: 40, delayMs: 50, jitterMs: 40 } }
+}
+
+// The fields of the network panel: [key, label, unit]. Chances are shown in percent
+const CONDITION_FIELDS = [['loss', 'Loss', '%'], ['duplicate', 'Duplicate', '%'], ['reorder', 'Reorder', '%'], ['delayMs', 'Delay', 'ms'], ['jitterMs', 'Jitter', 'ms']]
+
+// The event log keeps the newest entries and is redrawn a few times a second, not on every frame
+const EVENT_LOG_MAX = 200
+const EVENT_LOG_FLUSH_MS = 250
+
+const EVENT_LABELS = { drop: 'dropped', duplicate: 'duplicated', reorder: 'held back', retransmit: 'resent' }
+
+// What an impaired frame was, for the event log: "DATA #42" or "ACK"
+function describeFrame(frame) {
+	const decoded = frame && decodeFrame(frame)
+	if (!decoded || decoded.type === undefined) return 'frame'
+	return decoded.type === FRAME_ACK ? 'ACK' : `DATA #${decoded.seq}`
+}
+
+// How a transfer's status in its progress row maps to being recorded in its timeline
+const TIMELINE_ACTIVE = ['offered', 'sending', 'receiving']
+
+// Chat messages longer than this are cut off
+const MAX_CHAT_LENGTH = 4000
+
+// How a file card in the chat describes its transfer
+const FILE_STATUS_LABELS = {
+	queued: 'Queued',
+	offered: 'Offered',
+	sending: 'Sending',
+	receiving: 'Receiving',
+	verified: 'Verified',
+	failed: 'Failed',
+	cancelled: 'Cancelled',
+	rejected: 'Declined',
+	mismatch: 'SHA-256 mismatch'
 }
 
-// Convert the base64 string back into file data
-function base64ToUint8Array(base64) {
-	const binary = atob(base64)  // Built-in browser function to decode base64
-	const len = binary.length
-	const bytes = new Uint8Array(len)
-	for (let i = 0; i < len; i++) bytes[i] = binary.charCodeAt(i)
-	return bytes
+// A random id for a chat message, unique enough that two peers never pick the same one
+function randomId() {
+	return toHex(crypto.getRandomValues(new Uint8Array(8)))
 }
 
+// Counters that make sense added up over all peers
+const TOTAL_KEYS = ['sent', 'received', 'acks', 'retransmits', 'duplicates', 'outOfOrder', 'bytesSent', 'bytesReceived']
+
+function sumStats(list) {
+	const total = Object.fromEntries(TOTAL_KEYS.map((key) => [key, 0]))
+	for (const stats of list) for (const key of TOTAL_KEYS) total[key] += stats[key] || 0
+	return total
+}
+
+function formatRate(bytesPerSec) {
+	if (bytesPerSec >= 1024 * 1024) return `${(bytesPerSec / 1024 / 1024).toFixed(1)} MB/s`
+	return `${(bytesPerSec / 1024).toFixed(1)} KB/s`
+}
+
+// Draw one or more lines on a small canvas (like a heart rate monitor), scaled to the highest point
+function drawLines(canvas, lines) {
+	if (!canvas) return
+	const ctx = canvas.getContext('2d')
+	const w = canvas.width
+	const h = canvas.height
+	ctx.clearRect(0, 0, w, h)  // Clear the canvas
+	const max = Math.max(1, ...lines.flatMap((line) => line.data))  // Find the highest point for scaling
+	for (const { data, color } of lines) {
+		if (!data.length) continue  // Nothing to draw yet
+		ctx.strokeStyle = color
+		ctx.beginPath()
+		// Draw a line connecting all the data points
+		for (let i = 0; i < data.length; i++) {
+			const x = data.length === 1 ? w / 2 : (i / (data.length - 1)) * (w - 2) + 1  // Spread across width
+			const y = h - 1 - (data[i] / max) * (h - 2)     // Scale to height
+			if (i === 0) ctx.moveTo(x, y)  // Start the line
+			else ctx.lineTo(x, y)          // Continue the line
+		}
+		ctx.stroke()  // Actually draw it
+	}
+}
+
+// One file's progress bar with its name, for both the send and the receive list
+// (`state` greys out the bar while paused, or turns it red once cancelled or rejected)
+function TransferRow({ name, size, done, total, state, children }) {
+	const pct = total ? Math.round((done / total) * 100) : 100
+	return (
+		<div className={`transfer ${state || ''}`}>
+			<div className="row" style={{ justifyContent: 'space-between' }}>
+				<span className="small">{name} ({size} bytes)</span>
+				<span className="small">{done}/{total} chunks ({pct}%)</span>
+			</div>
+			<div className="progress" style={{ marginTop: 4 }}>
+				<span style={{ width: `${pct}%` }} />
+			</div>
+			{children && <div className="row" style={{ marginTop: 4 }}>{children}</div>}
+		</div>
+	)
+}
+
+// Greyed-out bar while paused, red once called off
+function barState(row) {
+	if (row.status === 'cancelled' || row.status === 'rejected') return 'stopped'
+	return row.paused ? 'paused' : ''
+}
+
+function PausedTag({ by, peer }) {
+	return <span className="tag">{by === 'remote' ? `Paused by ${peer}` : 'Paused'}</span>
+}
+
+// Where a chat message of ours is: on its way, confirmed by everyone, or not confirmed by
+// someone. With several recipients it says how many have it
+function DeliveryState({ delivery }) {
+	const states = Object.values(delivery)
+	const delivered = states.filter((state) => state === 'delivered').length
+	const failed = Object.keys(delivery).filter((peerId) => delivery[peerId] === 'failed')
+	const title = Object.entries(delivery).map(([peerId, state]) => `${peerId}: ${state}`).join(', ')
+	const of = states.length > 1 ? ` to ${delivered} of ${states.length}` : ''
+	if (failed.length) return <span className="tag danger" title={title}>Not delivered to {failed.join(', ')}</span>
+	if (delivered < states.length) return <span className="tag" title={title}>Sending…{states.length > 1 ? ` (${delivered} of ${states.length})` : ''}</span>
+	return <span className="tag success" title={title}>Delivered{of}</span>
+}
+
+// A file transfer in the conversation. While it runs (`live` is its progress row) it shows the
+// progress bar; afterwards, or after a reload, just how it ended - or that the reload cut it short
+function FileCard({ entry, live, total }) {
+	const arrow = entry.direction === 'outgoing' ? `→ ${entry.peerId}` : `← ${entry.peerId}`
+	const status = live?.status || entry.status
+	const ended = ['verified', 'failed', 'cancelled', 'rejected', 'mismatch'].includes(status)
+	const label = !live && !ended ? 'Interrupted' : FILE_STATUS_LABELS[status] || status
+	const tag = <span className={status === 'verified' ? 'tag success' : ended ? 'tag danger' : 'tag'}>{label}</span>
+	if (!live) {
+		return (
+			<div className="chat-card row">
+				<span className="small">{entry.path} {arrow} ({entry.size} bytes)</span>
+				{tag}
+			</div>
+		)
+	}
+	const done = entry.direction === 'outgoing' ? live.sentChunks : live.receivedChunks
+	return (
+		<div className="chat-card">
+			<TransferRow name={`${entry.path} ${arrow}`} size={entry.size} done={done || 0} total={total} state={barState(live)}>{tag}</TransferRow>
+		</div>
+	)
+}
+
+// How long a new invite link works, and how many people it lets into the room
+const INVITE_TTLS = [[60 * 60, '1 hour'], [24 * 60 * 60, '1 day'], [7 * 24 * 60 * 60, '1 week']]
+const INVITE_MAX_MEMBERS = [0, 2, 3, 4, 8]  // 0 = no limit
+
 export default function App() {
-	const [roomId, setRoomId] = useState('test-room')
-	const signaling = useSignaling(roomId)
-	const [pc, setPc] = useState(null)
-	const [dc, setDc] = useState(null)
-	const [connected, setConnected] = useState(false)
-	const [stats, setStats] = useState({ sent: 0, received: 0, acks: 0, retransmits: 0, rttMs: 0, bytesSent: 0, bytesReceived: 0, rttHistory: [] })
-	const [receivedText, setReceivedText] = useState('')
-
-	const [fileToSend, setFileToSend] = useState(null)
-	const [sendProgress, setSendProgress] = useState({ sentChunks: 0, totalChunks: 0 })
-	const [recvFileInfo, setRecvFileInfo] = useState(null)
-	const recvChunksRef = useRef([])
-	const [recvProgress, setRecvProgress] = useState({ receivedChunks: 0, totalChunks: 0 })
-	const [downloadUrl, setDownloadUrl] = useState('')
-
-	// Set up our reliability system and tell it what to do when messages arrive
-	const reliability = useMemo(() => ReliabilityLayer((payload) => {
+	// An invite link (?room=...&invite=...) drops us straight into its room
+	const [invite] = useState(() => {
+		const params = new URLSearchParams(window.location.search)
+		return params.get('invite') ? { roomId: params.get('room'), token: params.get('invite') } : null
+	})
+	const [roomId, setRoomId] = useState(() => invite?.roomId || 'test-room')
+	const [password, setPassword] = useState('')            // The one we join with
+	const [passwordDraft, setPasswordDraft] = useState('')  // What's typed in the box, until Enter
+	// We only join once we know our ICE servers, so no call can come in before we could answer it
+	const iceConfig = useIceConfig()
+	const [relayOnly, setRelayOnly] = useState(false)  // Force every connection through TURN, to test relayed paths
+	const roomInvite = invite && invite.roomId === roomId ? invite.token : null  // The invite link we came in with
+	const signaling = useSignaling(iceConfig ? roomId : null, { password, invite: roomInvite })
+	const [inviteTtl, setInviteTtl] = useState(INVITE_TTLS[0][0])
+	const [inviteMax, setInviteMax] = useState(0)
+	const [inviteLink, setInviteLink] = useState(null)  // { url, expiresAt } of the last link we made
+	const [inviteError, setInviteError] = useState('')
+	// One connection per other peer in the room (a mesh): each has its own RTCPeerConnection,
+	// DataChannel and reliability layer, so a slow or lossy peer doesn't mess with the others
+	const sessionsRef = useRef(new Map())  // peerId -> { peerId, pc, dc, reliability, scheduler, handleSignal, cleanup }
+	const [connections, setConnections] = useState({})  // peerId -> 'signaling' | 'checking' | 'connected' | 'recovering' | 'disconnected' | 'failed' | 'closed'
+	const [transports, setTransports] = useState({})    // peerId -> 'direct' | 'relay' (through the signaling server)
+	const [peerStats, setPeerStats] = useState({})      // peerId -> that peer's reliability stats
+	const [windowSize, setWindowSize] = useState(16)
+	const [congestionControl, setCongestionControl] = useState(true)
+	// Throughput counts every byte we put on the wire (resends and ACKs too); goodput only the
+	// payload bytes the other peer confirmed, each message once. The gap between them is overhead
+	const [rateHistory, setRateHistory] = useState([])  // [{ throughput, goodput }] per second, all peers together
+	const [peerRates, setPeerRates] = useState({})      // peerId -> latest { throughput, goodput }
+	const peerStatsRef = useRef(peerStats)
+	peerStatsRef.current = peerStats
+	const timelinesRef = useRef(new Map())  // 'out:fileId:peerId' or 'in:fileId' -> that transfer's timeline (see timeline.js)
+	const peerEventsRef = useRef(new Map()) // peerId -> RTT samples and resends since the last timeline sample
+	const [, setTimelineCount] = useState(0)  // Bumped when a timeline starts, so its download links show up
+	const recordTimelinesRef = useRef(null)
+	const [orderedDelivery, setOrderedDelivery] = useState(true)
+	// New sessions start with whatever is picked in the UI right now
+	const settingsRef = useRef(null)
+	settingsRef.current = { windowSize, congestionControl, ordered: orderedDelivery }
+	const [autoConnect, setAutoConnect] = useState(true)  // Connect to everyone in the room without clicking
+	const [networkPreset, setNetworkPreset] = useState('off')  // A key of NETWORK_PRESETS, or 'custom' once a field is edited
+	const [conditions, setConditions] = useState(NO_IMPAIRMENT)
+	const [impairOutgoing, setImpairOutgoing] = useState(true)
+	const [impairIncoming, setImpairIncoming] = useState(true)
+	const [eventLog, setEventLog] = useState([])  // Newest first: { id, at, peerId, direction, type, what }
+	const [eventCounts, setEventCounts] = useState({ drop: 0, duplicate: 0, reorder: 0, retransmit: 0 })
+	const pendingEventsRef = useRef([])  // Events since the log was last redrawn
+	const eventCountsRef = useRef(eventCounts)
+	// What every channel does to its frames right now (null = nothing), see createImpairedChannel
+	const networkImpaired = CONDITION_FIELDS.some(([key]) => conditions[key] > 0)
+	const impairmentRef = useRef(null)
+	impairmentRef.current = {
+		outgoing: networkImpaired && impairOutgoing ? conditions : null,
+		incoming: networkImpaired && impairIncoming ? conditions : null
+	}
+	const rtcConfigRef = useRef(null)
+	rtcConfigRef.current = iceConfig && { iceServers: [...iceConfig.iceServers, ...signaling.turnServers], iceTransportPolicy: relayOnly ? 'relay' : 'all' }
+	const myPeerIdRef = useRef(null)
+	myPeerIdRef.current = signaling.peerId
+	const relayRef = useRef(null)  // The server's relay limits, if it relays at all
+	relayRef.current = signaling.relay
+	const roomPeersRef = useRef([])  // Who is in the room right now, for callbacks made before the last render
+	roomPeersRef.current = signaling.peers
+	const [sendTarget, setSendTarget] = useState('all')  // 'all' or the one peer id that gets our messages and files
+	// The conversation in this room: messages and file cards, oldest first (see transferStore).
+	// chatRef holds the same entries by id, so updates never work on a stale copy
+	const [chat, setChat] = useState([])
+	const [chatDraft, setChatDraft] = useState('')
+	const chatRef = useRef(new Map())
+	const syncedFilesRef = useRef(new Set())  // File card ids already in some room's chat, so they don't follow us into another room
+	const chatLogRef = useRef(null)
+
+	const [filesToSend, setFilesToSend] = useState([])
+	const [outgoing, setOutgoing] = useState({})  // fileId -> progress row for a file we send
+	const [incoming, setIncoming] = useState({})  // fileId -> progress row for a file we receive
+	const incomingRef = useRef(new Map())  // transferId -> transfer record we're receiving into (see transferStore)
+	const sinksRef = useRef(new Map())     // transferId -> where that file's chunks go (see sinks)
+	const completedRef = useRef(new Map()) // fileId -> { path, folder, blob, url } of verified downloads
+	const writeChainRef = useRef(Promise.resolve())  // Chunk checks and writes, one after another
+	const [downloadFolder, setDownloadFolder] = useState(null)  // Folder picked for streaming files to disk
+	const [folderGranted, setFolderGranted] = useState(false)
+	const [recvNotice, setRecvNotice] = useState('')
+	const [partials, setPartials] = useState([])  // Half-received files saved in IndexedDB
+
+	const outgoingFilesRef = useRef(new Map())  // fileId -> { file, folderFiles } we offered, so we can resume it on request
+	const activeSendsRef = useRef(new Set())     // 'peerId:fileId' of every file we're sending to someone right now
+	const repliesRef = useRef(new Map())         // 'kind:peerId:fileId' -> { resolve, reject } waiting for a receiver's answer
+	const controlsRef = useRef(new Map())        // 'peerId:fileId' -> { paused, stopped, wakers } of a file we send to that peer (see untilRunning)
+	const offersRef = useRef(new Map())          // fileId -> { meta, from } waiting for us to accept or decline it
+
+	// Each reliability layer lives as long as its session, so it calls through this ref to always
+	// reach the latest handler (with the current state) instead of a stale copy from when it was made
+	const handlePayloadRef = useRef(null)
+
+	const updateOutgoing = (fileId, patch) => {
+		setOutgoing((rows) => ({ ...rows, [fileId]: { ...rows[fileId], ...(typeof patch === 'function' ? patch(rows[fileId]) : patch) } }))
+	}
+
+	// One file we send can go to several peers - each gets its own progress and status
+	const updateRecipient = (fileId, peerId, patch) => {
+		updateOutgoing(fileId, (row) => ({ recipients: { ...row?.recipients, [peerId]: { ...row?.recipients?.[peerId], ...patch } } }))
+	}
+
+	const updateIncoming = (fileId, patch) => {
+		setIncoming((rows) => ({ ...rows, [fileId]: { ...rows[fileId], ...(typeof patch === 'function' ? patch(rows[fileId]) : patch) } }))
+	}
+
+	// `from` is the peer id of whoever sent it - replies go back to that peer only
+	const handlePayload = (payload, from) => {
 		// Make sure we got a valid message
 		if (!payload || typeof payload !== 'object') return
-		// Handle text messages (like chat)
-		if (payload.kind === 'text') {
-			if (typeof payload.text === 'string') setReceivedText((prev) => prev + payload.text)
+		// A chat message. Its ACK is what turns it "delivered" on the sender's side.
+		// A resend after a failure has the same id, so we only show it once
+		if (payload.kind === 'chat') {
+			if (typeof payload.id !== 'string' || typeof payload.text !== 'string' || chatRef.current.has(payload.id)) return
+			putChatEntry({ id: payload.id, roomId, kind: 'message', at: Date.now(), from, mine: false, text: payload.text.slice(0, MAX_CHAT_LENGTH) })
 			return
 		}
-		// Someone is about to send us a file - get ready to receive it
+		// Someone offers us a file - ask the user first (or pick up where we left off)
 		if (payload.kind === 'file-meta') {
-			setRecvFileInfo({ name: payload.name, size: payload.size, type: payload.type })
-			recvChunksRef.current = new Array(payload.totalChunks)  // Make space for all the pieces
-			setRecvProgress({ receivedChunks: 0, totalChunks: payload.totalChunks })
+			offerReceived(payload, from).catch((err) => setRecvNotice(err.message))
 			return
 		}
 		// Got a piece of the file - store it in the right spot
 		if (payload.kind === 'file-chunk') {
-			if (!recvChunksRef.current.length) return
-			const idx = payload.index
-			recvChunksRef.current[idx] = base64ToUint8Array(payload.data)  // Convert back to file data
-			const receivedChunks = recvChunksRef.current.filter(Boolean).length
-			setRecvProgress((p) => ({ ...p, receivedChunks }))
+			storeChunk(payload, from)
 			return
 		}
-		// All pieces received! Put the file back together and make it downloadable
+		// All pieces sent! Put the file back together and make it downloadable
 		if (payload.kind === 'file-complete') {
-			const parts = recvChunksRef.current
-			if (!parts.length) return
-			// Glue all the pieces back together into a complete file
-			const blob = new Blob(parts, { type: recvFileInfo?.type || 'application/octet-stream' })
-			if (downloadUrl) URL.revokeObjectURL(downloadUrl)  // Clean up old download link
-			setDownloadUrl(URL.createObjectURL(blob))  // Create new download link
+			finishReceiving(payload, from).catch((err) => setRecvNotice(err.message))
+			return
+		}
+		// The receiver's verdict on a finished file - all good, or which chunks to send again
+		if (payload.kind === 'file-verify') {
+			deliverReply(payload, from)
+			return
+		}
+		// The receiver told us which chunks it still needs
+		if (payload.kind === 'file-resume') {
+			if (deliverReply(payload, from)) return
+			// Nobody asked - the receiver wants to pick up a transfer that broke off.
+			// Offering the file again runs the normal handshake, which skips what it already has
+			if (!outgoingFilesRef.current.has(payload.fileId)) {
+				sendTo(from, { kind: 'file-unavailable', fileId: payload.fileId }).catch(() => {})
+				return
+			}
+			sendFile(payload.fileId, [from])
+			return
+		}
+		// The receiver said no to our offer, or either side called a transfer off
+		if (payload.kind === 'file-reject' || payload.kind === 'file-cancel') {
+			const status = payload.kind === 'file-reject' ? 'rejected' : 'cancelled'
+			const reason = payload.reason || (status === 'rejected' ? 'Receiver declined the file' : 'Cancelled by the other peer')
+			stopSending(payload.fileId, from, status, reason)
+			if (status === 'cancelled' && receivingFrom(payload.fileId) === from) stopReceiving(payload.fileId, reason).catch((err) => setRecvNotice(err.message))
+			return
+		}
+		// The other peer paused or resumed a transfer - honour it on our side too
+		if (payload.kind === 'file-pause' || payload.kind === 'file-continue') {
+			setPaused(payload.fileId, from, payload.kind === 'file-pause' ? 'remote' : '')
+			return
+		}
+		if (payload.kind === 'file-unavailable') {
+			const name = partials.find((record) => record.fileId === payload.fileId)?.path || 'this file'
+			setRecvNotice(`${from} doesn't have ${name} open - ask the sender to select it again and press Send`)
+			return
+		}
+	}
+	handlePayloadRef.current = handlePayload
+
+	// Send one message to one peer through its own reliability layer
+	const sendTo = (peerId, payload) => {
+		const session = sessionsRef.current.get(peerId)
+		if (!session) return Promise.reject(new Error(`Not connected to ${peerId}`))
+		return session.reliability.send(session.dc, payload)
+	}
+
+	const isOpen = (peerId) => sessionsRef.current.get(peerId)?.dc?.readyState === 'open'
+
+	const isReceiving = (fileId) => [...incomingRef.current.values()].some((record) => record.fileId === fileId)
+
+	// Which peer we're receiving this file (or its offer) from right now, if any
+	const receivingFrom = (fileId) => {
+		const record = [...incomingRef.current.values()].find((candidate) => candidate.fileId === fileId)
+		return record ? record.from : offersRef.current.get(fileId)?.from
+	}
+
+	// Half-received files we aren't actively receiving right now
+	const refreshPartials = () => {
+		listTransfers().then((list) => setPartials(list.filter((record) => !isReceiving(record.fileId)))).catch(() => {})
+	}
+
+	useEffect(refreshPartials, [])
+
+	// Remember the folder picked on an earlier visit (we may need a click to get access again)
+	useEffect(() => {
+		loadDownloadFolder().then(async (folder) => {
+			if (!folder) return
+			setDownloadFolder(folder)
+			setFolderGranted(await folderAccess(folder))
+		}).catch(() => {})
+	}, [])
+
+	const chooseDownloadFolder = async () => {
+		try {
+			setDownloadFolder(await pickDownloadFolder())
+			setFolderGranted(true)
+		} catch {}  // The user closed the picker
+	}
+
+	const allowDownloadFolder = async () => {
+		setFolderGranted(await folderAccess(downloadFolder, true))
+	}
+
+	const useBrowserDownloads = async () => {
+		await forgetDownloadFolder()
+		setDownloadFolder(null)
+		setFolderGranted(false)
+	}
+
+	// A new file needs the user's OK before any chunk is sent. Files we already started
+	// receiving were accepted back then, so resuming them goes ahead on its own - as long as it
+	// really is the file we accepted. A changed one is asked about like a new file
+	const offerReceived = async (meta, from) => {
+		// The same file can only come from one peer at a time
+		const current = receivingFrom(meta.fileId)
+		if (current && current !== from && isOpen(current)) {
+			await sendTo(from, { kind: 'file-reject', fileId: meta.fileId, reason: `Receiver is already getting this file from ${current}` })
+			return
+		}
+		const active = [...incomingRef.current.values()].find((record) => record.fileId === meta.fileId)
+		const stored = active ? null : await loadTransfer(meta.fileId)
+		if (sameFile(active || stored, meta)) return startReceiving(meta, from)
+		// Whatever we have under this id doesn't fit - don't let it mix with the new bytes
+		if (active) await stopReceiving(meta.fileId, 'The sender offered a different version of this file')
+		else if (stored) {
+			await deleteTransfer(meta.fileId)
+			refreshPartials()
+		}
+		offersRef.current.set(meta.fileId, { meta, from })
+		updateIncoming(meta.fileId, {
+			fileId: meta.fileId,
+			from,
+			path: meta.path || meta.name,
+			type: meta.type,
+			size: meta.size,
+			receivedChunks: 0,
+			totalChunks: meta.totalChunks,
+			corrupt: 0,
+			status: 'offered',
+			paused: '',
+			error: '',
+			url: ''
+		})
+	}
+
+	const acceptOffer = (fileId) => {
+		const offer = offersRef.current.get(fileId)
+		if (!offer) return
+		offersRef.current.delete(fileId)
+		startReceiving(offer.meta, offer.from).catch((err) => setRecvNotice(err.message))
+	}
+
+	const rejectOffer = (fileId) => {
+		const offer = offersRef.current.get(fileId)
+		if (!offer) return
+		offersRef.current.delete(fileId)
+		updateIncoming(fileId, { status: 'rejected', error: 'You declined the file' })
+		sendTo(offer.from, { kind: 'file-reject', fileId, reason: 'Receiver declined the file' }).catch(() => {})
+	}
+
+	const startReceiving = async (meta, from) => {
+		setRecvNotice('')
+		const done = completedRef.current.get(meta.fileId)
+		if (done) {
+			if (done.url) URL.revokeObjectURL(done.url)  // Receiving it again - drop the old copy
+			completedRef.current.delete(meta.fileId)
+		}
+		await writeChainRef.current  // Let pending writes land before we read the saved state
+		// Only pick up where we left off if it really is the same file, cut the same way
+		const active = incomingRef.current.get(meta.transferId)
+		if (sameFile(active, meta) && active.fileId === meta.fileId) {
+			// Still receiving it (the connection dropped and came back) - keep the same sink going
+			active.from = from
+			updateIncoming(active.fileId, { from })
+			await sendTo(from, { kind: 'file-resume', fileId: active.fileId, missing: missingRanges(active.received, active.totalChunks) })
+			return
+		}
+		// After a reload only files kept in IndexedDB can be resumed
+		const stored = await loadTransfer(meta.fileId)
+		if (stored && !sameFile(stored, meta)) await deleteTransfer(meta.fileId)  // Its chunks would end up in the new file
+		const record = sameFile(stored, meta) ? { ...stored, from, transferId: meta.transferId, folderFiles: meta.folderFiles } : {
+			fileId: meta.fileId,
+			from,
+			transferId: meta.transferId,
+			name: meta.name,
+			path: meta.path || meta.name,
+			folder: fileFolder(meta.path || ''),
+			folderFiles: meta.folderFiles,
+			size: meta.size,
+			type: meta.type,
+			lastModified: meta.lastModified,
+			totalChunks: meta.totalChunks,
+			chunkSize: meta.chunkSize,
+			received: createBitmap(meta.totalChunks),
+			receivedCount: 0,
+			updatedAt: Date.now()
+		}
+		const sink = sameFile(stored, meta) ? openIndexedDbSink(record) : await openSink(record, folderGranted ? downloadFolder : null)
+		if (sink.kind === 'idb') {
+			await saveTransfer(record)
+		} else {
+			record.digests = []  // Streamed bytes can't be re-read at the end, so keep their checked digests
+		}
+		incomingRef.current.set(record.transferId, record)
+		sinksRef.current.set(record.transferId, sink)
+		updateIncoming(record.fileId, {
+			fileId: record.fileId,
+			from,
+			path: record.path,
+			folder: record.folder,
+			folderFiles: record.folderFiles,
+			size: record.size,
+			receivedChunks: record.receivedCount,
+			totalChunks: record.totalChunks,
+			corrupt: 0,
+			status: 'receiving',
+			paused: '',
+			error: '',
+			sink: sink.kind,
+			location: sink.location,
+			url: ''
+		})
+		refreshPartials()
+		// Tell the sender what we still need - everything for a new file, just the gaps for a resumed one
+		await sendTo(from, { kind: 'file-resume', fileId: record.fileId, missing: missingRanges(record.received, record.totalChunks) })
+	}
+
+	const storeChunk = (chunk, from) => {
+		const record = incomingRef.current.get(chunk.transferId)
+		if (!record || record.from !== from) return  // Not a file we're expecting (from this peer)
+		if (chunk.index >= record.totalChunks || hasChunk(record.received, chunk.index)) return
+		const data = chunk.data.slice()  // Copy just our bytes out of the frame buffer
+		const digest = chunk.digest && chunk.digest.slice()
+		// Check and save chunks one after another: a chunk only counts once its bytes match the
+		// sender's digest, and when a write lands every chunk its bitmap claims is really stored
+		writeChainRef.current = writeChainRef.current
+			.then(async () => {
+				if (incomingRef.current.get(record.transferId) !== record || hasChunk(record.received, chunk.index)) return
+				if (!digest || !bytesEqual(await sha256(data), digest)) {
+					// Leave it missing - it gets asked for again at the end
+					updateIncoming(record.fileId, (row) => ({ corrupt: (row?.corrupt || 0) + 1 }))
+					return
+				}
+				const sink = sinksRef.current.get(record.transferId)
+				if (!sink.wants(chunk.index)) return  // Too much waiting behind a gap already - it's asked for again too
+				markChunk(record.received, chunk.index)
+				record.receivedCount++
+				record.updatedAt = Date.now()
+				if (record.digests) record.digests[chunk.index] = digest
+				updateIncoming(record.fileId, { receivedChunks: record.receivedCount })
+				// Wait for the write (a streaming sink: for the chunks it could write in order), so a slow
+				// disk or download holds back the chunks behind it instead of piling them up in memory
+				await sink.write(chunk.index, data, { ...record, received: record.received.slice() })
+			})
+			.catch((err) => setRecvNotice('Could not save chunk: ' + err.message))
+	}
+
+	const finishReceiving = async (msg, from) => {
+		const record = incomingRef.current.get(msg.transferId)
+		const reply = (verdict) => sendTo(from, { kind: 'file-verify', fileId: msg.fileId, missing: [], ...verdict })
+		if (!record || record.from !== from) {
+			await reply({ ok: false, error: 'Receiver is not expecting this file' })
+			return
+		}
+		await writeChainRef.current
+		// Holes or corrupt chunks - ask for exactly those again
+		if (record.receivedCount < record.totalChunks) {
+			await reply({ ok: false, missing: missingRanges(record.received, record.totalChunks) })
+			return
+		}
+		const sink = sinksRef.current.get(record.transferId)
+		incomingRef.current.delete(record.transferId)
+		sinksRef.current.delete(record.transferId)
+		let result
+		try {
+			result = await sink.finish()  // Flush the last chunks and close the file
+		} catch (err) {
+			updateIncoming(record.fileId, { status: 'failed' })
+			setRecvNotice(`${record.path}: could not save the file (${err.message})`)
+			await reply({ ok: false, error: 'Receiver could not save the file' })
+			return
+		}
+		// Re-hash what we stored (where we still can) and compare with the sender's whole-file digest
+		const digests = result.blob ? await hashChunks(result.blob, record.chunkSize) : record.digests
+		const digest = await fileDigest(digests)
+		if (sink.kind === 'idb') {
+			await deleteTransfer(record.fileId)  // Either the blob has the bytes now, or they're no good
+			refreshPartials()
+		}
+		if (digests.length !== record.totalChunks || digest !== msg.fileDigest) {
+			updateIncoming(record.fileId, { status: 'mismatch' })
+			const saved = sink.kind === 'idb' ? '' : ` - delete the copy saved to ${sink.location}`
+			setRecvNotice(`${record.path}: SHA-256 mismatch, expected ${msg.fileDigest}, got ${digest}${saved}`)
+			await reply({ ok: false, error: 'File hash mismatch' })
 			return
 		}
-	}, setStats), [])
+		const url = result.blob ? URL.createObjectURL(result.blob) : ''
+		completedRef.current.set(record.fileId, { path: record.path, folder: record.folder, lastModified: record.lastModified, blob: result.blob, url })
+		updateIncoming(record.fileId, { status: 'verified', url })
+		await reply({ ok: true })
+	}
+
+	// Drop everything about a file we're receiving (or were offered): its record, its sink
+	// and any saved chunks. Returns false if there was nothing to stop
+	const stopReceiving = async (fileId, reason) => {
+		const offered = offersRef.current.delete(fileId)
+		const record = [...incomingRef.current.values()].find((candidate) => candidate.fileId === fileId)
+		if (!offered && !record) return false
+		if (record) {
+			const sink = sinksRef.current.get(record.transferId)
+			incomingRef.current.delete(record.transferId)
+			sinksRef.current.delete(record.transferId)
+			sink.abort()
+			await writeChainRef.current
+			if (sink.kind === 'idb') await deleteTransfer(fileId)
+			refreshPartials()
+		}
+		updateIncoming(fileId, { status: 'cancelled', paused: '', error: reason })
+		return true
+	}
+
+	const cancelReceiving = (fileId) => {
+		const from = receivingFrom(fileId)
+		stopReceiving(fileId, 'You cancelled the transfer').catch((err) => setRecvNotice(err.message))
+		if (from) sendTo(from, { kind: 'file-cancel', fileId, reason: 'Receiver cancelled the transfer' }).catch(() => {})
+	}
+
+	// Ask for the rest of a file. Peer ids change when someone reloads, so if the peer we got it
+	// from is gone we ask everyone we're connected to - whoever still has it open offers it again
+	const requestResume = (record) => {
+		setRecvNotice('')
+		const message = { kind: 'file-resume', fileId: record.fileId, missing: missingRanges(record.received, record.totalChunks) }
+		const peerIds = isOpen(record.from) ? [record.from] : [...sessionsRef.current.keys()].filter(isOpen)
+		if (!peerIds.length) setRecvNotice('Connect to the sender first')
+		for (const peerId of peerIds) sendTo(peerId, message).catch((err) => setRecvNotice(err.message))
+	}
+
+	const discardPartial = async (record) => {
+		incomingRef.current.delete(record.transferId)
+		sinksRef.current.delete(record.transferId)
+		await writeChainRef.current
+		await deleteTransfer(record.fileId)
+		refreshPartials()
+	}
+
+	// Pack every verified file of a received folder into a zip and download it
+	const downloadZip = async (folder) => {
+		const entries = [...completedRef.current.values()].filter((done) => done.folder === folder && done.blob)
+		const zip = await createZip(entries)
+		const url = URL.createObjectURL(zip)
+		const a = document.createElement('a')
+		a.href = url
+		a.download = `${folder}.zip`
+		a.click()
+		setTimeout(() => URL.revokeObjectURL(url), 60000)
+	}
+
+	// Let the user switch between stop-and-wait (1) and sliding-window sizes on the fly
+	// (for every peer at once - each keeps its own congestion window below it)
+	useEffect(() => {
+		for (const session of sessionsRef.current.values()) session.reliability.setWindowSize(windowSize)
+	}, [windowSize])
+
+	useEffect(() => {
+		for (const session of sessionsRef.current.values()) session.reliability.setOrdered(orderedDelivery)
+	}, [orderedDelivery])
 
 	useEffect(() => {
-		if (!pc) return
-		pc.onconnectionstatechange = () => {
-			setConnected(pc.connectionState === 'connected')
+		for (const session of sessionsRef.current.values()) session.reliability.setCongestionControl(congestionControl)
+	}, [congestionControl])
+
+	// Network panel changed: every channel misbehaves the new way from the next frame on
+	useEffect(() => {
+		for (const session of sessionsRef.current.values()) session.dc.setProfiles(impairmentRef.current)
+	}, [conditions, impairOutgoing, impairIncoming])
+
+	// Fresh TURN credentials, or "relay only" switched: hand the new settings to every connection.
+	// Switching the policy also restarts ICE, so the connections move to the new kind of path now
+	const relayOnlyRef = useRef(relayOnly)
+	useEffect(() => {
+		if (!rtcConfigRef.current) return
+		const policyChanged = relayOnlyRef.current !== relayOnly
+		relayOnlyRef.current = relayOnly
+		for (const session of sessionsRef.current.values()) {
+			try {
+				session.pc.setConfiguration({ ...session.pc.getConfiguration(), ...rtcConfigRef.current })
+				if (policyChanged) session.pc.restartIce()
+			} catch (err) {
+				console.warn('Could not update the ICE servers of', session.peerId, err)
+			}
 		}
-	}, [pc])
+	}, [iceConfig, signaling.turnServers, relayOnly])
 
+	// Once a second, turn every peer's byte counters into rates for the stats table and the chart
 	useEffect(() => {
-		if (!dc) return
-		dc.onmessage = (ev) => reliability.handleIncoming(dc, ev.data)
-	}, [dc, reliability])
+		const last = {}  // peerId -> { at, bytesSent, ackedBytes } at the previous sample
+		const timer = setInterval(() => {
+			const now = performance.now()
+			const rates = {}
+			const total = { throughput: 0, goodput: 0 }
+			for (const [peerId, { bytesSent, ackedBytes }] of Object.entries(peerStatsRef.current)) {
+				const prev = last[peerId] || { at: now - RATE_SAMPLE_MS, bytesSent, ackedBytes }
+				const seconds = (now - prev.at) / 1000
+				rates[peerId] = {
+					throughput: Math.max(0, bytesSent - prev.bytesSent) / seconds,
+					goodput: Math.max(0, ackedBytes - prev.ackedBytes) / seconds
+				}
+				total.throughput += rates[peerId].throughput
+				total.goodput += rates[peerId].goodput
+				last[peerId] = { at: now, bytesSent, ackedBytes }
+			}
+			setPeerRates(rates)
+			setRateHistory((history) => [...history, total].slice(-RATE_HISTORY_MAX))
+			recordTimelinesRef.current(rates)
+		}, RATE_SAMPLE_MS)
+		return () => clearInterval(timer)
+	}, [])
+
+	const queuePeerEvent = (peerId, event) => {
+		if (!peerEventsRef.current.has(peerId)) peerEventsRef.current.set(peerId, [])
+		peerEventsRef.current.get(peerId).push({ at: Date.now(), ...event })
+	}
+
+	// Every transfer that is running gets a timeline, and a sample in it every second: its own
+	// progress, its peer's reliability stats and rates (shared by all transfers with that peer),
+	// and the browser's view of the connection. A transfer that just ended gets a last sample
+	recordTimelinesRef.current = async (rates) => {
+		const transfers = []  // { key, direction, peerId, status, done, row }
+		for (const row of Object.values(outgoing)) {
+			for (const [peerId, to] of Object.entries(row.recipients || {})) {
+				transfers.push({ key: `out:${row.fileId}:${peerId}`, direction: 'outgoing', peerId, status: to.status, done: to.sentChunks || 0, row })
+			}
+		}
+		for (const row of Object.values(incoming)) {
+			if (row.from) transfers.push({ key: `in:${row.fileId}`, direction: 'incoming', peerId: row.from, status: row.status, done: row.receivedChunks || 0, row })
+		}
+		const recording = []
+		for (const transfer of transfers) {
+			const active = TIMELINE_ACTIVE.includes(transfer.status)
+			let timeline = timelinesRef.current.get(transfer.key)
+			if (active && (!timeline || timeline.info.endedAt)) {
+				const session = sessionsRef.current.get(transfer.peerId)
+				timeline = createTimeline({
+					direction: transfer.direction,
+					fileId: transfer.row.fileId,
+					path: transfer.row.path,
+					size: transfer.row.size,
+					totalChunks: transfer.row.totalChunks,
+					peerId: transfer.peerId,
+					settings: { ...settingsRef.current, network: networkPreset, impairment: impairmentRef.current, transport: session?.transport }
+				})
+				timelinesRef.current.set(transfer.key, timeline)
+				setTimelineCount((count) => count + 1)
+			}
+			if (timeline && !timeline.info.endedAt) recording.push({ ...transfer, timeline, active })
+		}
+		const events = peerEventsRef.current
+		peerEventsRef.current = new Map()
+		if (!recording.length) return
+
+		// getStats() only knows about direct connections - relayed ones have nothing to report
+		const details = {}
+		await Promise.all([...new Set(recording.map(({ peerId }) => peerId))].map(async (peerId) => {
+			const session = sessionsRef.current.get(peerId)
+			details[peerId] = session?.transport === 'direct' && session.pc.connectionState !== 'closed'
+				? await connectionDetails(session.pc).catch(() => ({}))
+				: {}
+		}))
+		for (const { peerId, timeline, active, status, done, row } of recording) {
+			const stats = peerStatsRef.current[peerId] || {}
+			const rate = rates[peerId] || { throughput: 0, goodput: 0 }
+			const previous = timeline.samples[timeline.samples.length - 1]
+			const seconds = previous ? (Date.now() - timeline.info.startedAt - previous.t) / 1000 : 0
+			for (const event of events.get(peerId) || []) addEvent(timeline, event)
+			addSample(timeline, {
+				doneChunks: done,
+				totalChunks: row.totalChunks,
+				transferRate: seconds > 0 ? Math.max(0, done - previous.doneChunks) * CHUNK_SIZE / seconds : 0,
+				rttMs: stats.rttMs,
+				rtoMs: stats.rtoMs,
+				cwnd: stats.cwnd,
+				windowSize: stats.windowSize,
+				inflight: stats.inflight,
+				bufferedAmount: stats.bufferedAmount,
+				sent: stats.sent,
+				acks: stats.acks,
+				retransmits: stats.retransmits,
+				duplicates: stats.duplicates,
+				outOfOrder: stats.outOfOrder,
+				throughput: Math.round(rate.throughput),
+				goodput: Math.round(rate.goodput),
+				transport: sessionsRef.current.get(peerId)?.transport,
+				...details[peerId]
+			})
+			if (!active) endTimeline(timeline, status)
+		}
+	}
+
+	const downloadTimeline = (key, format) => {
+		const timeline = timelinesRef.current.get(key)
+		const text = format === 'csv' ? timelineToCSV(timeline) : timelineToJSON(timeline)
+		const url = URL.createObjectURL(new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }))
+		const a = document.createElement('a')
+		a.href = url
+		a.download = `timeline-${timeline.info.path.split('/').pop()}-${timeline.info.direction}-${timeline.info.peerId}.${format}`
+		a.click()
+		setTimeout(() => URL.revokeObjectURL(url), 60000)
+	}
+
+	// "Timeline: JSON CSV" for a transfer that has one
+	const timelineLinks = (key) => timelinesRef.current.has(key) && (
+		<span className="small">
+			Timeline{' '}
+			<button className="btn secondary" onClick={() => downloadTimeline(key, 'json')}>JSON</button>{' '}
+			<button className="btn secondary" onClick={() => downloadTimeline(key, 'csv')}>CSV</button>
+		</span>
+	)
+
+	// Drops, duplicates, held-back frames and resends go to the event log. They can come by the
+	// hundred per second, so they wait here until the next redraw
+	const logNetworkEvent = (peerId, direction, type, what) => {
+		eventCountsRef.current = { ...eventCountsRef.current, [type]: eventCountsRef.current[type] + 1 }
+		pendingEventsRef.current.push({ at: Date.now(), peerId, direction, type, what })
+	}
+
+	useEffect(() => {
+		let nextId = 0
+		const timer = setInterval(() => {
+			const pending = pendingEventsRef.current
+			if (!pending.length) return
+			pendingEventsRef.current = []
+			const fresh = pending.slice(-EVENT_LOG_MAX).reverse().map((event) => ({ ...event, id: nextId++ }))
+			setEventLog((log) => [...fresh, ...log].slice(0, EVENT_LOG_MAX))
+			setEventCounts(eventCountsRef.current)
+		}, EVENT_LOG_FLUSH_MS)
+		return () => clearInterval(timer)
+	}, [])
 
-	// Start a connection by being the first to reach out (like making a phone call)
-	const createOffer = async () => {
-		const { pc } = createPeer(signaling, roomId, (chan) => setDc(chan))
-		setPc(pc)
-		// Create our data channel - this is our unreliable/unordered communication line
-		const chan = pc.createDataChannel('data', { ordered: false, maxRetransmits: 0 })
-		setDc(chan)
-		chan.onmessage = (ev) => reliability.handleIncoming(chan, ev.data)
-		const offer = await pc.createOffer()
-		await pc.setLocalDescription(offer)
-		signaling.send({ type: 'offer', roomId, sdp: pc.localDescription })
+	const clearEventLog = () => {
+		pendingEventsRef.current = []
+		eventCountsRef.current = { drop: 0, duplicate: 0, reorder: 0, retransmit: 0 }
+		setEventLog([])
+		setEventCounts(eventCountsRef.current)
 	}
 
-	// Accept an incoming connection (like answering a phone call)
-	const createAnswer = async () => {
-		const { pc } = createPeer(signaling, roomId, (chan) => setDc(chan))
-		setPc(pc)
+	const pickNetworkPreset = (key) => {
+		setNetworkPreset(key)
+		setConditions(NETWORK_PRESETS[key].conditions)
 	}
 
-	// Send a simple text message to test our connection
-	const sendMessage = () => {
-		reliability.send(dc, { kind: 'text', text: 'Hello ' + new Date().toLocaleTimeString() + '\n' })
+	// Editing a field turns whatever preset it was into a custom network
+	const setCondition = (key, unit, value) => {
+		const number = Math.max(0, Number(value) || 0)
+		setNetworkPreset('custom')
+		setConditions((prev) => ({ ...prev, [key]: unit === '%' ? Math.min(number, 100) / 100 : Math.min(number, 10000) }))
+	}
+
+	// Ask the server for a signed invite to this room and turn it into a link to share.
+	// It wants the proof that we may invite people: the room password, or the invite we came in
+	// with (then the new one can't outlast it or let in more people)
+	const createInvite = async () => {
+		setInviteError('')
+		try {
+			const res = await fetch(`${SERVER_URL}/invite`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({
+					roomId,
+					password: password || undefined,
+					invite: roomInvite || undefined,
+					ttlSeconds: inviteTtl,
+					maxMembers: inviteMax || undefined
+				})
+			})
+			const body = await res.json()
+			if (!res.ok) throw new Error(body.error || `The server said ${res.status}`)
+			const url = new URL(window.location.href)
+			url.search = new URLSearchParams({ room: roomId, invite: body.token }).toString()
+			setInviteLink({ url: url.toString(), expiresAt: body.expiresAt })
+		} catch (err) {
+			setInviteError(err.message)
+		}
+	}
+
+	// A link is only good for the room it was made for
+	useEffect(() => {
+		setInviteLink(null)
+		setInviteError('')
+	}, [roomId])
+
+	const setConnection = (peerId, state) => setConnections((prev) => ({ ...prev, [peerId]: state }))
+
+	// Set up the connection to one peer: its own RTCPeerConnection, reliability layer and
+	// scheduler, with the settings picked in the UI. Negotiation starts by itself (see createPeer)
+	const openSession = (peerId) => {
+		if (sessionsRef.current.has(peerId)) return sessionsRef.current.get(peerId)
+		const reliability = ReliabilityLayer(
+			(payload) => handlePayloadRef.current(payload, peerId),
+			(stats) => setPeerStats((prev) => ({ ...prev, [peerId]: stats })),
+			{
+				...settingsRef.current,
+				onRetransmit: (seq, retries) => {
+					logNetworkEvent(peerId, 'outgoing', 'retransmit', `DATA #${seq} (resend ${retries})`)
+					queuePeerEvent(peerId, { type: 'retransmit', seq, retries })
+				},
+				onRttSample: (seq, rttMs) => queuePeerEvent(peerId, { type: 'rtt', seq, rttMs })
+			}
+		)
+		// Both sides compare the same two ids, so exactly one of them ends up polite
+		const polite = myPeerIdRef.current < peerId
+		// While the connection is being recovered the reliability layer holds its breath, so
+		// transfers pick up where they were instead of running out of retries
+		// If no direct path works out, we carry on through the server - if it relays, and if the
+		// peer is still in the room to be relayed to
+		const onPhase = (phase) => {
+			if (phase === 'failed') {
+				return relayRef.current && roomPeersRef.current.includes(peerId) ? switchToRelay(session) : closeSession(peerId, 'failed')
+			}
+			if (phase === 'recovering') reliability.suspend()
+			if (phase === 'connected') {
+				reliability.resume()
+				if (peer.dc.readyState !== 'open') return  // The channel's open event says so
+			}
+			setConnection(peerId, phase)
+		}
+		const peer = createPeer(signaling, roomId, peerId, polite, rtcConfigRef.current, onPhase)
+		const relay = createRelayChannel(signaling, roomId, peerId)
+		const session = {
+			peerId,
+			polite,
+			reliability,
+			scheduler: FairScheduler(reliability),
+			...peer,
+			transport: 'direct',
+			relay,
+			stopDirect: peer.cleanup,
+			cleanup: () => {
+				peer.cleanup()
+				relay.close()
+			}
+		}
+		peer.pc.onconnectionstatechange = () => {
+			if (peer.pc.connectionState === 'closed') closeSession(peerId, 'closed')
+		}
+		sessionsRef.current.set(peerId, session)
+		setConnection(peerId, 'signaling')
+		setTransports((prev) => ({ ...prev, [peerId]: 'direct' }))
+		attachChannel(session, peer.dc)
+		return session
+	}
+
+	// The reliability layer talks to the channel through the network panel's impairments (which
+	// let everything through while it's off), so session.dc is that wrapper, not the channel
+	const attachChannel = (session, chan) => {
+		const dc = createImpairedChannel(chan, {
+			clock: systemClock,
+			onEvent: (direction, type, frame) => logNetworkEvent(session.peerId, direction, type, describeFrame(frame))
+		})
+		dc.setProfiles(impairmentRef.current)
+		session.dc = dc
+		chan.binaryType = 'arraybuffer'  // Our frames are binary - get them as ArrayBuffers, not Blobs
+		chan.onmessage = (ev) => dc.receive(ev.data)
+		dc.onmessage = (ev) => session.reliability.handleIncoming(dc, ev.data)
+		const onOpen = () => {
+			setConnection(session.peerId, 'connected')
+			// After a reconnect, carry on with the files we were in the middle of receiving from this peer
+			for (const record of incomingRef.current.values()) {
+				if (record.from === session.peerId) requestResume(record)
+			}
+		}
+		if (chan.readyState === 'open') onOpen()
+		else chan.addEventListener('open', onOpen)
+		chan.addEventListener('close', () => {
+			// (A closed session has already said how it ended)
+			if (session.dc === dc && sessionsRef.current.get(session.peerId) === session) setConnection(session.peerId, 'disconnected')
+		})
+	}
+
+	// Give up on the direct connection and run the same reliability layer over the server relay.
+	// Whatever was in flight moves over and carries on
+	const switchToRelay = (session) => {
+		if (session.transport === 'relay') return
+		session.transport = 'relay'
+		session.stopDirect()
+		session.pc.close()
+		attachChannel(session, session.relay)
+		session.reliability.retarget(session.dc)
+		session.reliability.resume()
+		session.relay.hello()  // So the other side moves over too, even if it has nothing to send
+		setTransports((prev) => ({ ...prev, [session.peerId]: 'relay' }))
+	}
+
+	// The connection is gone for good - forget it so we can connect to that peer again
+	const closeSession = (peerId, state) => {
+		const session = sessionsRef.current.get(peerId)
+		if (!session) return
+		sessionsRef.current.delete(peerId)
+		session.cleanup()
+		session.pc.close()
+		// Whatever is still waiting for an ACK fails now (chat messages, file chunks, file-complete…),
+		// even if the layer was suspended while ICE tried to recover and has no timers running
+		session.reliability.close(new Error(`Connection to ${peerId} ${state}`))
+		setConnection(peerId, state)
+	}
+
+	// Connections belong to the room they were made in: leaving it (or the page) hangs up on
+	// everyone, so nothing keeps going to the old room's peers or lands in the new room's chat
+	useEffect(() => () => {
+		for (const peerId of [...sessionsRef.current.keys()]) closeSession(peerId, 'closed')
+		setConnections({})
+		setTransports({})
+		setPeerStats({})
+		setPeerRates({})
+	}, [roomId])
+
+	// Reach out to someone in the room (like making a phone call)
+	const connectTo = (peerId) => {
+		openSession(peerId)
+	}
+
+	const connectToAll = () => {
+		for (const peerId of signaling.peers) connectTo(peerId)
+	}
+
+	// Connect to everyone in the room as soon as they show up - the ones already here when
+	// we join, and everyone who joins later. Off, the Connect buttons do it by hand (for debugging)
+	useEffect(() => {
+		if (!autoConnect || !signaling.joined) return
+		connectToAll()
+	}, [autoConnect, signaling.joined, signaling.peers])
+
+	// Back on the signaling server after losing it: any restart offers we made in the meantime
+	// went nowhere, so have every connection that is still down try again now.
+	// Relayed connections depend on the server itself, so they hold still while it's gone
+	useEffect(() => {
+		for (const session of sessionsRef.current.values()) {
+			if (session.transport === 'relay') {
+				if (signaling.joined) session.reliability.resume()
+				else session.reliability.suspend()
+			} else if (signaling.joined) {
+				session.recover()
+			}
+		}
+	}, [signaling.joined])
+
+	// The other side gave up on the direct path and talks to us through the server - follow it
+	useEffect(() => {
+		if (!signaling.joined) return
+		return signaling.onMessage((msg) => {
+			if (msg.type !== 'relay') return
+			switchToRelay(sessionsRef.current.get(msg.from) || openSession(msg.from))
+		})
+	}, [signaling.joined, roomId])
+
+	// Someone left the room: the relay can't reach them anymore, and a connection still being set
+	// up never will. A direct link that works right now may outlive their signaling socket (they
+	// may only have lost the server), so it stays until it breaks - then it's closed, not relayed
+	useEffect(() => {
+		if (!signaling.joined) return
+		return signaling.onMessage((msg) => {
+			if (msg.type !== 'peer-left') return
+			const session = sessionsRef.current.get(msg.peerId)
+			if (session && !(session.transport === 'direct' && isOpen(msg.peerId))) closeSession(msg.peerId, 'closed')
+		})
+	}, [signaling.joined, roomId])
+
+	// Someone is calling us but we don't have a connection for them yet (say we're on manual,
+	// or our list of peers is behind) - pick up. Offers are addressed to our peer id, so there's no mix-up
+	useEffect(() => {
+		if (!signaling.joined) return
+		return signaling.onMessage((msg) => {
+			if (msg.type !== 'offer' || sessionsRef.current.has(msg.from)) return
+			openSession(msg.from).handleSignal(msg)
+		})
+	}, [signaling.joined, roomId])
+
+	// Who gets our messages and files: everyone we're connected to, or the one peer picked
+	const openPeers = Object.keys(connections).filter((peerId) => connections[peerId] === 'connected')
+	const targets = sendTarget === 'all' ? openPeers : openPeers.filter((peerId) => peerId === sendTarget)
+
+	// Add or replace an entry in the conversation, and save it
+	const putChatEntry = (entry) => {
+		chatRef.current.set(entry.id, entry)
+		setChat([...chatRef.current.values()].sort((a, b) => a.at - b.at))
+		saveChatEntry(entry).catch((err) => console.warn('Could not save chat history', err))
+	}
+
+	const setDelivery = (id, peerId, state) => {
+		const entry = chatRef.current.get(id)
+		if (entry) putChatEntry({ ...entry, delivery: { ...entry.delivery, [peerId]: state } })
+	}
+
+	// Each recipient gets the message over its own reliability layer: its ACK means delivered,
+	// running out of retries means failed
+	const deliverChat = (message, peerIds) => {
+		for (const peerId of peerIds) {
+			sendTo(peerId, { kind: 'chat', id: message.id, text: message.text, sentAt: message.at })
+				.then(() => setDelivery(message.id, peerId, 'delivered'), () => setDelivery(message.id, peerId, 'failed'))
+		}
+	}
+
+	const sendChat = (e) => {
+		e.preventDefault()
+		const text = chatDraft.trim()
+		if (!text || !targets.length) return
+		const message = {
+			id: randomId(),
+			roomId,
+			kind: 'message',
+			at: Date.now(),
+			from: signaling.peerId,
+			mine: true,
+			text,
+			delivery: Object.fromEntries(targets.map((peerId) => [peerId, 'pending']))
+		}
+		putChatEntry(message)
+		setChatDraft('')
+		deliverChat(message, targets)
 	}
 
+	// Try the recipients that didn't get it again, if we're still connected to them
+	const retryChat = (id) => {
+		const message = chatRef.current.get(id)
+		const peerIds = Object.keys(message.delivery).filter((peerId) => message.delivery[peerId] === 'failed' && isOpen(peerId))
+		if (!peerIds.length) return
+		putChatEntry({ ...message, delivery: { ...message.delivery, ...Object.fromEntries(peerIds.map((peerId) => [peerId, 'pending'])) } })
+		deliverChat(message, peerIds)
+	}
+
+	const clearChatHistory = () => {
+		chatRef.current = new Map()
+		setChat([])
+		clearChat(roomId).catch((err) => console.warn('Could not clear chat history', err))
+	}
+
+	// Load the room's conversation. Messages that were still on their way when the page closed
+	// never got their ACK - they count as failed. Entries that came in while loading stay
+	useEffect(() => {
+		let stale = false
+		chatRef.current = new Map()
+		setChat([])
+		listChat(roomId).then((entries) => {
+			if (stale) return
+			for (const entry of entries) {
+				if (chatRef.current.has(entry.id)) continue
+				const pending = entry.delivery && Object.keys(entry.delivery).filter((peerId) => entry.delivery[peerId] === 'pending')
+				if (pending?.length) {
+					putChatEntry({ ...entry, delivery: { ...entry.delivery, ...Object.fromEntries(pending.map((peerId) => [peerId, 'failed'])) } })
+				} else {
+					chatRef.current.set(entry.id, entry)
+				}
+				if (entry.kind === 'file') syncedFilesRef.current.add(entry.id)
+			}
+			setChat([...chatRef.current.values()].sort((a, b) => a.at - b.at))
+		}).catch((err) => console.warn('Could not load chat history', err))
+		return () => {
+			stale = true
+		}
+	}, [roomId])
+
+	// Every file we send or receive shows up in the conversation as a card, which keeps the
+	// transfer's latest status (the card shows live progress while the transfer runs)
+	useEffect(() => {
+		const sync = (id, card) => {
+			const existing = chatRef.current.get(id)
+			if (!existing) {
+				if (syncedFilesRef.current.has(id)) return  // Its card lives in another room's chat
+				syncedFilesRef.current.add(id)
+				putChatEntry({ id, roomId, kind: 'file', at: Date.now(), ...card })
+			} else if (existing.status !== card.status) {
+				putChatEntry({ ...existing, status: card.status })
+			}
+		}
+		for (const row of Object.values(outgoing)) {
+			for (const [peerId, to] of Object.entries(row.recipients || {})) {
+				if (to.status) sync(`file:out:${row.fileId}:${peerId}`, { direction: 'outgoing', fileId: row.fileId, peerId, path: row.path, size: row.size, status: to.status })
+			}
+		}
+		for (const row of Object.values(incoming)) {
+			if (row.from && row.status) sync(`file:in:${row.fileId}`, { direction: 'incoming', fileId: row.fileId, peerId: row.from, path: row.path, size: row.size, status: row.status })
+		}
+	}, [outgoing, incoming])
+
+	// Keep the newest entry in view
+	useEffect(() => {
+		if (chatLogRef.current) chatLogRef.current.scrollTop = chatLogRef.current.scrollHeight
+	}, [chat.length])
+
 	// Break files into small pieces for sending (like tearing up a photo and mailing each piece)
 	const CHUNK_SIZE = 16 * 1024  // 16KB pieces - small enough to be reliable
-	const sendFile = async () => {
-		if (!fileToSend) return
-		const file = fileToSend
+	// Queue the picked files and send them a few at a time
+	const sendFiles = async (files, peerIds) => {
+		// How many files of each folder are coming, so the receiver knows when a folder is complete
+		const folderFiles = {}
+		for (const file of files) {
+			const folder = fileFolder(filePath(file))
+			folderFiles[folder] = (folderFiles[folder] || 0) + 1
+		}
+		const queue = []
+		for (const file of files) {
+			const fileId = await fileFingerprint(file)
+			if (queue.some((entry) => entry.fileId === fileId)) continue  // Picked twice
+			// Peers already getting this file keep going - the rest join in
+			const recipients = peerIds.filter((peerId) => !activeSendsRef.current.has(`${peerId}:${fileId}`))
+			if (!recipients.length) continue
+			outgoingFilesRef.current.set(fileId, { file, folderFiles: folderFiles[fileFolder(filePath(file))] })
+			updateOutgoing(fileId, { fileId, path: filePath(file), size: file.size, totalChunks: Math.ceil(file.size / CHUNK_SIZE) })
+			for (const peerId of recipients) {
+				controlsRef.current.set(`${peerId}:${fileId}`, { paused: false, stopped: null, wakers: [] })  // So it can be cancelled while queued
+				updateRecipient(fileId, peerId, { sentChunks: 0, status: 'queued', paused: '', error: '' })
+			}
+			queue.push({ fileId, recipients })
+		}
+		const worker = async () => {
+			while (queue.length) {
+				const { fileId, recipients } = queue.shift()
+				await sendFile(fileId, recipients)
+			}
+		}
+		await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_TRANSFERS, queue.length) }, worker))
+	}
+
+	// Send one file to one or more peers (skipping those already getting it)
+	const sendFile = async (fileId, peerIds) => {
+		const recipients = peerIds.filter((peerId) => !activeSendsRef.current.has(`${peerId}:${fileId}`))
+		if (!recipients.length) return
+		try {
+			await transferFile(fileId, recipients)
+		} catch (err) {
+			// Reading the file failed - nobody gets it
+			for (const peerId of recipients) updateRecipient(fileId, peerId, { status: 'failed', paused: '', error: err.message })
+		} finally {
+			for (const peerId of recipients) controlsRef.current.delete(`${peerId}:${fileId}`)
+		}
+	}
+
+	// Resolves once the file may go on; throws if it was cancelled or rejected meanwhile
+	const untilRunning = async (control) => {
+		while (control.paused && !control.stopped) await new Promise((resolve) => control.wakers.push(resolve))
+		if (control.stopped) throw control.stopped
+	}
+
+	const wake = (control) => {
+		for (const resolve of control.wakers.splice(0)) resolve()
+	}
+
+	// Stop sending a file to one peer: it's skipped from the next chunk on, and whatever reply
+	// we wait for from that peer fails now. The other recipients carry on
+	const stopSending = (fileId, peerId, status, reason) => {
+		const control = controlsRef.current.get(`${peerId}:${fileId}`)
+		if (!control || control.stopped) return false
+		control.stopped = Object.assign(new Error(reason), { status })
+		failReplies(peerId, fileId, control.stopped)
+		wake(control)
+		updateRecipient(fileId, peerId, { status, paused: '', error: reason })
+		return true
+	}
+
+	const cancelSending = (fileId, peerId) => {
+		if (!stopSending(fileId, peerId, 'cancelled', 'You cancelled the transfer')) return
+		sendTo(peerId, { kind: 'file-cancel', fileId, reason: 'Sender cancelled the transfer' }).catch(() => {})
+	}
+
+	// Pause or resume a transfer between us and one peer, in whichever direction it runs.
+	// `by` is 'local' or 'remote' (who asked, for the label), or '' to carry on. A paused
+	// recipient is skipped and catches up once resumed; the receiver has nothing to hold back, it just shows it
+	const setPaused = (fileId, peerId, by) => {
+		const control = controlsRef.current.get(`${peerId}:${fileId}`)
+		if (control && !control.stopped) {
+			control.paused = !!by
+			wake(control)
+			updateRecipient(fileId, peerId, { paused: by })
+		}
+		if (isReceiving(fileId) && receivingFrom(fileId) === peerId) updateIncoming(fileId, { paused: by })
+	}
+
+	const pauseTransfer = (fileId, peerId, paused) => {
+		setPaused(fileId, peerId, paused ? 'local' : '')
+		sendTo(peerId, { kind: paused ? 'file-pause' : 'file-continue', fileId }).catch(() => {})
+	}
+
+	// Resolves with this peer's next message of this kind about this file
+	const waitForReply = (kind, peerId, fileId, timeoutMs) => {
+		const key = `${kind}:${peerId}:${fileId}`
+		const reply = new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				repliesRef.current.delete(key)
+				reject(new Error(kind === 'file-resume' ? 'Receiver did not answer the file offer' : 'Receiver did not confirm the file'))
+			}, timeoutMs)
+			repliesRef.current.set(key, {
+				resolve: (payload) => {
+					clearTimeout(timer)
+					resolve(payload)
+				},
+				reject: (err) => {
+					clearTimeout(timer)
+					reject(err)
+				}
+			})
+		})
+		reply.catch(() => {})  // Callers await it only after their own send went through
+		return reply
+	}
+
+	// Hand a reply to whoever is waiting for it; false if nobody is
+	const deliverReply = (payload, from) => {
+		const key = `${payload.kind}:${from}:${payload.fileId}`
+		const waiter = repliesRef.current.get(key)
+		if (!waiter) return false
+		repliesRef.current.delete(key)
+		waiter.resolve(payload)
+		return true
+	}
+
+	// Fail every reply we're waiting for from this peer about this file
+	const failReplies = (peerId, fileId, err) => {
+		for (const [key, waiter] of repliesRef.current) {
+			if (!key.endsWith(`:${peerId}:${fileId}`)) continue
+			repliesRef.current.delete(key)
+			waiter.reject(err)
+		}
+	}
+
+	// Send one file to several peers at once. The file is read only once: every chunk goes to
+	// each recipient that still needs it, through that peer's own window. After that each
+	// recipient finishes on its own - its verdict, its repair rounds, its failures
+	const transferFile = async (fileId, peerIds) => {
+		const { file, folderFiles } = outgoingFilesRef.current.get(fileId)
 		const totalChunks = Math.ceil(file.size / CHUNK_SIZE)
-		setSendProgress({ sentChunks: 0, totalChunks })
-		// First, tell the other peer what file is coming
-		await waitUntilSent(() => reliability.send(dc, { kind: 'file-meta', name: file.name, size: file.size, type: file.type, totalChunks }))
-		// Then send each piece one by one, waiting for confirmation each time
-		for (let i = 0; i < totalChunks; i++) {
-			const start = i * CHUNK_SIZE
-			const end = Math.min(start + CHUNK_SIZE, file.size)
-			const slice = file.slice(start, end)  // Cut out this piece
-			const buf = await slice.arrayBuffer()
-			const b64 = arrayBufferToBase64(buf)  // Convert to text
-			await waitUntilSent(() => reliability.send(dc, { kind: 'file-chunk', index: i, data: b64 }))
-			setSendProgress({ sentChunks: i + 1, totalChunks })
-		}
-		// Finally, tell them we're done sending
-		await waitUntilSent(() => reliability.send(dc, { kind: 'file-complete' }))
-	}
-
-	// Helper function: keep trying to send until our reliability layer accepts it
-	// (It might be busy waiting for a previous message to be confirmed)
-	function waitUntilSent(trySend) {
-		return new Promise((resolve) => {
-			const tick = () => {
-				const ok = trySend()  // Try to send
-				if (ok) return resolve()  // Success! We're done
-				setTimeout(tick, 10)  // Not ready yet, try again in 10ms
+		const path = filePath(file)
+		// Derived from the fingerprint, so it stays the same across reloads too.
+		// Every chunk carries it, so the receiver can tell interleaved files apart
+		const transferId = parseInt(fileId.slice(0, 8), 16)
+		updateOutgoing(fileId, { fileId, path, size: file.size, totalChunks })
+		const recipients = peerIds.map((peerId) => {
+			const key = `${peerId}:${fileId}`
+			if (!controlsRef.current.has(key)) controlsRef.current.set(key, { paused: false, stopped: null, wakers: [] })
+			activeSendsRef.current.add(key)
+			return {
+				peerId,
+				session: sessionsRef.current.get(peerId),
+				control: controlsRef.current.get(key),
+				pending: null,   // Chunks this peer still needs that we haven't handed to its window yet
+				skipped: [],     // Chunks the read loop passed while this peer was paused, oldest first
+				inflight: [],    // Sends to this peer waiting for their ACK
+				acked: 0,
+				failure: null
 			}
-			tick()
 		})
+
+		const sendChunk = (recipient, index, data, digest) => {
+			const { peerId, session } = recipient
+			recipient.pending.delete(index)
+			recipient.inflight.push(session.reliability.send(session.dc, { kind: 'file-chunk', transferId, index, digest, data }).then(() => {
+				recipient.acked++
+				updateRecipient(fileId, peerId, { sentChunks: recipient.acked })
+			}, (err) => { recipient.failure = recipient.failure || err }))
+		}
+
+		// First, offer the file and wait for the other peer to accept it - its answer says which
+		// chunks it still needs (and guarantees chunks can't overtake the offer). Declining fails the wait
+		const offer = async (recipient) => {
+			const { peerId, control } = recipient
+			try {
+				if (control.stopped) throw control.stopped  // Cancelled while it was still queued
+				if (!isOpen(peerId)) throw new Error(`Not connected to ${peerId}`)
+				updateRecipient(fileId, peerId, { sentChunks: 0, status: 'offered', error: '' })
+				const answer = waitForReply('file-resume', peerId, fileId, OFFER_TIMEOUT_MS)
+				await sendTo(peerId, { kind: 'file-meta', transferId, fileId, name: file.name, path, folderFiles, size: file.size, type: file.type, lastModified: file.lastModified, totalChunks, chunkSize: CHUNK_SIZE })
+				recipient.pending = expandRanges((await answer).missing, totalChunks)
+				// Chunks the receiver already has count as done
+				recipient.acked = totalChunks - recipient.pending.size
+				updateRecipient(fileId, peerId, { sentChunks: recipient.acked, status: 'sending' })
+			} catch (err) {
+				recipient.pending = null
+				updateRecipient(fileId, peerId, { status: err.status || 'failed', paused: '', error: err.message })
+			}
+		}
+
+		// Whatever is still pending, then file-complete, then re-sending whatever the
+		// receiver reports missing or corrupt
+		const finish = async (recipient, digests) => {
+			const { peerId, control } = recipient
+			try {
+				for (let round = 0; ; round++) {
+					await untilRunning(control)
+					for await (const { index, data } of sliceChunks(file, CHUNK_SIZE, recipient.pending)) {
+						await untilRunning(control)  // Hold here while paused, bail out if cancelled
+						await recipient.session.scheduler.turn()
+						if (recipient.failure) break  // The connection is gone - no point reading on
+						sendChunk(recipient, index, data, digests[index])
+					}
+					await Promise.all(recipient.inflight)
+					recipient.inflight = []
+					if (recipient.failure) throw recipient.failure
+					await untilRunning(control)
+					// Tell them we're done and wait for their verdict
+					const verdict = waitForReply('file-verify', peerId, fileId, VERIFY_TIMEOUT_MS)
+					await sendTo(peerId, { kind: 'file-complete', transferId, fileId, fileDigest: await fileDigest(digests) })
+					const { ok, error, missing } = await verdict
+					if (ok) {
+						updateRecipient(fileId, peerId, { status: 'verified', paused: '' })
+						return
+					}
+					if (error) throw new Error(`Receiver rejected the file: ${error}`)
+					if (round >= MAX_REPAIR_ROUNDS) throw new Error('Gave up re-sending missing or corrupt chunks')
+					recipient.pending = expandRanges(missing, totalChunks)
+					recipient.acked = totalChunks - recipient.pending.size
+					updateRecipient(fileId, peerId, { sentChunks: recipient.acked })
+				}
+			} catch (err) {
+				// Cancelled or rejected (err.status), or the reliability layer gave up - say so instead of hanging
+				updateRecipient(fileId, peerId, { status: err.status || 'failed', paused: '', error: err.message })
+			}
+		}
+
+		try {
+			await Promise.all(recipients.map(offer))
+			const accepted = recipients.filter((recipient) => recipient.pending)
+			if (!accepted.length) return
+			// Stream the whole file front to back once, hashing every chunk (the whole-file digest needs
+			// them all) and handing it to each recipient that needs it.
+			// A full window at one peer holds up the others - the slowest receiver sets the pace
+			const digests = new Array(totalChunks)
+			const sending = (recipient) => !recipient.failure && !recipient.control.stopped
+			// A paused peer is passed over while the others carry on. Once it's back it first gets the
+			// chunks it missed, so its receiver still gets the file front to back and streaming sinks
+			// don't have to hold everything after the gap. Returns false if it's still behind
+			const catchUp = async (recipient) => {
+				for await (const { index, data } of sliceChunks(file, CHUNK_SIZE, recipient.skipped)) {
+					if (!sending(recipient) || recipient.control.paused) return false
+					await recipient.session.scheduler.turn()
+					sendChunk(recipient, index, data, digests[index])
+					recipient.skipped.shift()
+				}
+				return true
+			}
+			for await (const { index, data } of readChunks(file, CHUNK_SIZE)) {
+				digests[index] = await sha256(data)
+				for (const recipient of accepted) {
+					if (!sending(recipient) || !recipient.pending.has(index)) continue
+					if (recipient.control.paused || !(await catchUp(recipient))) {
+						recipient.skipped.push(index)
+						continue
+					}
+					await recipient.session.scheduler.turn()  // Wait for a free slot in its window, taking turns with the other files
+					sendChunk(recipient, index, data, digests[index])
+				}
+				const active = accepted.filter(sending)
+				if (!active.length) break  // Everyone cancelled or failed - no point reading on
+				// Everyone left is paused - don't read (and hash) the rest of the file for nobody
+				if (active.every((recipient) => recipient.control.paused)) {
+					await Promise.race(active.map((recipient) => untilRunning(recipient.control).catch(() => {})))
+				}
+			}
+			await Promise.all(accepted.map((recipient) => finish(recipient, digests)))
+		} finally {
+			for (const { peerId } of recipients) activeSendsRef.current.delete(`${peerId}:${fileId}`)
+		}
 	}
 
-	// Draw a simple line chart showing response times (like a heart rate monitor)
+	// Simple line charts: response times (one line per peer), and throughput vs goodput over the last minute
+	const statPeers = Object.keys(peerStats)
+	const peerColor = (peerId) => PEER_COLORS[statPeers.indexOf(peerId) % PEER_COLORS.length]
+	const totals = sumStats(Object.values(peerStats))
 	const canvasRef = useRef(null)
+	const rateCanvasRef = useRef(null)
 	useEffect(() => {
-		const canvas = canvasRef.current
-		if (!canvas) return
-		const ctx = canvas.getContext('2d')
-		const w = canvas.width
-		const h = canvas.height
-		ctx.clearRect(0, 0, w, h)  // Clear the canvas
-		const data = stats.rttHistory || []
-		if (!data.length) return  // Nothing to draw yet
-		const max = Math.max(...data, 1)  // Find the highest point for scaling
-		ctx.strokeStyle = '#4da3ff'
-		ctx.beginPath()
-		// Draw a line connecting all the data points
-		for (let i = 0; i < data.length; i++) {
-			const x = (i / (data.length - 1)) * (w - 2) + 1  // Spread across width
-			const y = h - 1 - (data[i] / max) * (h - 2)     // Scale to height
-			if (i === 0) ctx.moveTo(x, y)  // Start the line
-			else ctx.lineTo(x, y)          // Continue the line
-		}
-		ctx.stroke()  // Actually draw it
-	}, [stats.rttHistory])
+		drawLines(canvasRef.current, statPeers.map((peerId) => ({ data: peerStats[peerId].rttHistory || [], color: peerColor(peerId) })))
+	}, [peerStats])
+	useEffect(() => {
+		drawLines(rateCanvasRef.current, [
+			{ data: rateHistory.map((sample) => sample.throughput), color: '#4da3ff' },
+			{ data: rateHistory.map((sample) => sample.goodput), color: '#49d17c' }
+		])
+	}, [rateHistory])
+	const latestRate = rateHistory[rateHistory.length - 1] || { throughput: 0, goodput: 0 }
+
+	const outgoingRows = Object.values(outgoing)
+	const incomingRows = Object.values(incoming)
+	// Received folders, with how many of their files are verified so far
+	// (files streamed into browser downloads can't be zipped - their bytes already left the page)
+	const folders = {}
+	for (const row of incomingRows) {
+		if (!row.folder) continue
+		const folder = folders[row.folder] || (folders[row.folder] = { verified: 0, total: row.folderFiles || 0, zippable: true })
+		if (row.status === 'verified') folder.verified++
+		if (row.sink === 'download') folder.zippable = false
+	}
+	// The status line: where we are with the signaling server, then how many peers are in each phase
+	const phaseCounts = {}
+	for (const peerId of sessionsRef.current.keys()) {
+		let phase = connections[peerId] || 'signaling'
+		if (phase === 'connected' && transports[peerId] === 'relay') phase = 'relayed'
+		phaseCounts[phase] = (phaseCounts[phase] || 0) + 1
+	}
+	const statusParts = Object.entries(PHASE_LABELS).filter(([phase]) => phaseCounts[phase]).map(([phase, label]) => `${phaseCounts[phase]} ${label}`)
+	if (signaling.status !== 'joined') statusParts.unshift(signaling.status === 'reconnecting' ? 'signaling server lost, reconnecting…' : 'reaching the signaling server…')
+	const statusLine = statusParts.join(', ') || 'Not connected'
+	const pathLabel = (peerId) => (transports[peerId] === 'relay' ? 'relayed via server' : 'direct')
 
-	const sentPct = sendProgress.totalChunks ? Math.round((sendProgress.sentChunks / sendProgress.totalChunks) * 100) : 0
-	const recvPct = recvProgress.totalChunks ? Math.round((recvProgress.receivedChunks / recvProgress.totalChunks) * 100) : 0
+	let saveTarget = 'kept in IndexedDB until complete'
+	if (downloadFolder && folderGranted) saveTarget = `streamed into folder "${downloadFolder.name}"`
+	else if (canStreamDownloads()) saveTarget = 'streamed into your browser downloads'
 
 	return (
 		<div className="app">
 			<div className="header">
 				<div>
 					<div className="title">WebRTC Reliability Demo</div>
-					<div className="subtitle">Unreliable/Unordered DataChannel with custom stop-and-wait reliability</div>
+					<div className="subtitle">Unreliable/Unordered DataChannel with custom sliding-window reliability</div>
 				</div>
 				<div className="row">
-					<input className="input" value={roomId} onChange={(e) => setRoomId(e.target.value)} placeholder="Room" />
-					<button className="btn" disabled={!signaling.joined} onClick={createOffer}>Create Offer</button>
-					<button className="btn secondary" disabled={!signaling.joined} onClick={createAnswer}>Answer</button>
+					<input className="input" value={roomId} maxLength={64} onChange={(e) => setRoomId(e.target.value)} placeholder="Room" />
+					<form onSubmit={(e) => { e.preventDefault(); setPassword(passwordDraft) }}>
+						<input className="input" type="password" value={passwordDraft} onChange={(e) => setPasswordDraft(e.target.value)} placeholder="Password (Enter to apply)" />
+					</form>
+					{signaling.status === 'rejected'
+						? <span className="small error">{signaling.joinError}</span>
+						: <span className="small">{signaling.peerId ? `You are ${signaling.peerId}` : 'Joining…'}</span>}
+				</div>
+			</div>
+
+			<div className="panel" style={{ marginTop: 16 }}>
+				<div className="row">
+					<span className="small">In this room:</span>
+					{signaling.joined && signaling.peers.length === 0 && <span className="small">nobody else yet - open this page in another tab or browser</span>}
+					{signaling.peers.map((id) => (
+						<button key={id} className={connections[id] === 'connected' ? 'btn' : 'btn secondary'} disabled={sessionsRef.current.has(id)} onClick={() => connectTo(id)}>
+							{connections[id] === 'connected' ? `Connected to ${id} (${pathLabel(id)})` : connections[id] === 'recovering' ? `Reconnecting to ${id}…` : sessionsRef.current.has(id) ? `Connecting to ${id}…` : `Connect to ${id}`}
+						</button>
+					))}
+					{signaling.peers.length > 1 && <button className="btn" disabled={signaling.peers.every((id) => sessionsRef.current.has(id))} onClick={connectToAll}>Connect to all</button>}
+					<label className="small row" style={{ gap: 4 }}>
+						<input type="checkbox" checked={autoConnect} onChange={(e) => setAutoConnect(e.target.checked)} />
+						Connect automatically
+					</label>
+					<label className="small row" style={{ gap: 4 }}>
+						<input type="checkbox" checked={relayOnly} onChange={(e) => setRelayOnly(e.target.checked)} />
+						Relay only (TURN)
+					</label>
+					{relayOnly && signaling.joined && !signaling.turnServers.length && (
+						<span className="small error">The server has no TURN server configured - relayed connections can't work</span>
+					)}
+					{openPeers.filter((id) => !signaling.peers.includes(id)).map((id) => (
+						<span key={id} className="small error">{id} left the room</span>
+					))}
+				</div>
+				<div className="row" style={{ marginTop: 10 }}>
+					<span className="small">Invite link, good for</span>
+					<select className="input" style={{ minWidth: 0 }} value={inviteTtl} onChange={(e) => setInviteTtl(Number(e.target.value))}>
+						{INVITE_TTLS.map(([seconds, label]) => <option key={seconds} value={seconds}>{label}</option>)}
+					</select>
+					<span className="small">and up to</span>
+					<select className="input" style={{ minWidth: 0 }} value={inviteMax} onChange={(e) => setInviteMax(Number(e.target.value))}>
+						{INVITE_MAX_MEMBERS.map((n) => <option key={n} value={n}>{n ? `${n} people` : 'any number of people'}</option>)}
+					</select>
+					<button className="btn secondary" disabled={!signaling.joined} onClick={createInvite}>Create invite link</button>
+					{inviteLink && (
+						<>
+							<input className="input" readOnly value={inviteLink.url} onFocus={(e) => e.target.select()} />
+							<button className="btn secondary" onClick={() => navigator.clipboard.writeText(inviteLink.url)}>Copy</button>
+							<span className="small">expires {new Date(inviteLink.expiresAt).toLocaleString()}</span>
+						</>
+					)}
+					{inviteError && <span className="small error">{inviteError}</span>}
 				</div>
 			</div>
 
 			<div className="panel" style={{ marginTop: 16 }}>
 				<div className="row" style={{ justifyContent: 'space-between' }}>
 					<div className="row">
-						<button className="btn" disabled={!dc || dc.readyState !== 'open'} onClick={sendMessage}>Send Message</button>
-						<span className="small">Status: {connected ? 'Connected' : 'Not connected'}</span>
+						<span className="small">Send to</span>
+						<select className="input" style={{ minWidth: 0 }} value={sendTarget} onChange={(e) => setSendTarget(e.target.value)}>
+							<option value="all">Everyone connected ({openPeers.length})</option>
+							{openPeers.map((id) => <option key={id} value={id}>{id}</option>)}
+						</select>
+						<span className="small">Status: {statusLine}</span>
+						<span className="small">Max window</span>
+						<select className="input" style={{ minWidth: 0 }} value={windowSize} onChange={(e) => setWindowSize(Number(e.target.value))}>
+							{[1, 4, 16, 64].map((n) => (
+								<option key={n} value={n}>{n === 1 ? '1 (stop-and-wait)' : n}</option>
+							))}
+						</select>
+						<label className="small row" style={{ gap: 4 }}>
+							<input type="checkbox" checked={orderedDelivery} onChange={(e) => setOrderedDelivery(e.target.checked)} />
+							Ordered delivery
+						</label>
+						<label className="small row" style={{ gap: 4 }}>
+							<input type="checkbox" checked={congestionControl} onChange={(e) => setCongestionControl(e.target.checked)} />
+							Congestion control
+						</label>
 					</div>
 					<div className="row">
 						<canvas ref={canvasRef} width={240} height={48} style={{ borderRadius: 8, border: '1px solid var(--border)', background: '#0c121a' }} />
-						<div className="small">RTT</div>
+						<div className="small">RTT<br />per peer</div>
+						<canvas ref={rateCanvasRef} width={240} height={48} style={{ borderRadius: 8, border: '1px solid var(--border)', background: '#0c121a' }} />
+						<div className="small"><span style={{ color: '#4da3ff' }}>Throughput</span><br /><span style={{ color: '#49d17c' }}>Goodput</span></div>
 					</div>
 				</div>
 			</div>
 
 			<div className="panel" style={{ marginTop: 16 }}>
+				<div className="row">
+					<span className="small">Simulated network</span>
+					<select className="input" style={{ minWidth: 0 }} value={networkPreset} onChange={(e) => pickNetworkPreset(e.target.value)}>
+						{Object.entries(NETWORK_PRESETS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+						{networkPreset === 'custom' && <option value="custom">Custom</option>}
+					</select>
+					{CONDITION_FIELDS.map(([key, label, unit]) => (
+						<label key={key} className="small row" style={{ gap: 4 }}>
+							{label}
+							<input
+								className="input"
+								type="number"
+								min={0}
+								max={unit === '%' ? 100 : 10000}
+								style={{ minWidth: 0, width: 70 }}
+								value={unit === '%' ? Math.round(conditions[key] * 1000) / 10 : conditions[key]}
+								onChange={(e) => setCondition(key, unit, e.target.value)}
+							/>
+							{unit}
+						</label>
+					))}
+					<label className="small row" style={{ gap: 4 }}>
+						<input type="checkbox" checked={impairOutgoing} onChange={(e) => setImpairOutgoing(e.target.checked)} />
+						Outgoing frames
+					</label>
+					<label className="small row" style={{ gap: 4 }}>
+						<input type="checkbox" checked={impairIncoming} onChange={(e) => setImpairIncoming(e.target.checked)} />
+						Incoming frames
+					</label>
+				</div>
+				<div className="row" style={{ marginTop: 10 }}>
+					<span className="small">Dropped {eventCounts.drop}</span>
+					<span className="small">Duplicated {eventCounts.duplicate}</span>
+					<span className="small">Held back {eventCounts.reorder}</span>
+					<span className="small">Resent {eventCounts.retransmit}</span>
+					<button className="btn secondary" disabled={!eventLog.length} onClick={clearEventLog}>Clear log</button>
+				</div>
+				<div className="code event-log" style={{ marginTop: 10 }}>
+					{eventLog.length === 0 && <div className="small">Nothing dropped or resent yet{networkImpaired ? '' : ' - pick a simulated network to see the reliability layer at work'}</div>}
+					{eventLog.map((event) => (
+						<div key={event.id} className={event.type === 'retransmit' ? 'event retransmit' : 'event'}>
+							{new Date(event.at).toLocaleTimeString()} {event.peerId} {EVENT_LABELS[event.type]} {event.direction} {event.what}
+						</div>
+					))}
+				</div>
+			</div>
+
+			<div className="panel" style={{ marginTop: 16 }}>
+				<div className="small" style={{ marginBottom: 8 }}>All peers together</div>
 				<div className="badges">
-					<div className="badge"><strong>Sent</strong><div>{stats.sent}</div></div>
-					<div className="badge"><strong>Received</strong><div>{stats.received}</div></div>
-					<div className="badge"><strong>ACKs</strong><div>{stats.acks}</div></div>
-					<div className="badge"><strong>Retransmits</strong><div>{stats.retransmits}</div></div>
-					<div className="badge"><strong>RTT (ms)</strong><div>{stats.rttMs}</div></div>
-					<div className="badge"><strong>Bytes Sent</strong><div>{stats.bytesSent}</div></div>
-					<div className="badge"><strong>Bytes Recv</strong><div>{stats.bytesReceived}</div></div>
+					<div className="badge"><strong>Sent</strong><div>{totals.sent}</div></div>
+					<div className="badge"><strong>Received</strong><div>{totals.received}</div></div>
+					<div className="badge"><strong>ACKs</strong><div>{totals.acks}</div></div>
+					<div className="badge"><strong>Retransmits</strong><div>{totals.retransmits}</div></div>
+					<div className="badge"><strong>Duplicates</strong><div>{totals.duplicates}</div></div>
+					<div className="badge"><strong>Out of Order</strong><div>{totals.outOfOrder}</div></div>
+					<div className="badge"><strong>Throughput</strong><div>{formatRate(latestRate.throughput)}</div></div>
+					<div className="badge"><strong>Goodput</strong><div>{formatRate(latestRate.goodput)}</div></div>
+					<div className="badge"><strong>Bytes Sent</strong><div>{totals.bytesSent}</div></div>
+					<div className="badge"><strong>Bytes Recv</strong><div>{totals.bytesReceived}</div></div>
 				</div>
+				{statPeers.length > 0 && (
+					<table className="peer-table">
+						<thead>
+							<tr>
+								<th>Peer</th><th>Sent</th><th>ACKs</th><th>Retransmits</th><th>Duplicates</th><th>Out of Order</th>
+								<th>RTT / RTO (ms)</th><th>In Flight</th><th>Window</th><th>Throughput</th><th>Goodput</th><th>Buffered</th>
+							</tr>
+						</thead>
+						<tbody>
+							{statPeers.map((peerId) => {
+								const peer = peerStats[peerId]
+								const rate = peerRates[peerId] || { throughput: 0, goodput: 0 }
+								return (
+									<tr key={peerId}>
+										<td>
+											<span style={{ color: peerColor(peerId) }}>{peerId}</span> <span className="small">{connections[peerId] === 'connected' ? pathLabel(peerId) : connections[peerId]}</span>
+											{peer.protocolError && <div className="small error">{peer.protocolError}</div>}
+										</td>
+										<td>{peer.sent}</td>
+										<td>{peer.acks}</td>
+										<td>{peer.retransmits}</td>
+										<td>{peer.duplicates}</td>
+										<td>{peer.outOfOrder}</td>
+										<td>{peer.rttMs} / {peer.rtoMs}</td>
+										<td>{peer.inflight}</td>
+										<td>{peer.windowSize} of {peer.maxWindow}{peer.congestionControl ? ` (cwnd ${peer.cwnd})` : ''}</td>
+										<td>{formatRate(rate.throughput)}</td>
+										<td>{formatRate(rate.goodput)}</td>
+										<td>{Math.round(peer.bufferedAmount / 1024)} KB ({peer.stalls} stalls{peer.sendErrors ? `, ${peer.sendErrors} refused` : ''})</td>
+									</tr>
+								)
+							})}
+						</tbody>
+					</table>
+				)}
 			</div>
 
 			<div className="grid-2" style={{ marginTop: 16 }}>
 				<div className="panel">
-					<div className="card-title">Send File</div>
+					<div className="card-title">Send Files</div>
 					<div className="row">
-						<input type="file" onChange={(e) => setFileToSend(e.target.files?.[0] || null)} />
-						<button className="btn" disabled={!fileToSend || !dc || dc.readyState !== 'open'} onClick={sendFile}>Send</button>
+						<label className="small">Files <input type="file" multiple onChange={(e) => setFilesToSend([...(e.target.files || [])])} /></label>
+						<label className="small">Folder <input type="file" webkitdirectory="" onChange={(e) => setFilesToSend([...(e.target.files || [])])} /></label>
+						<button className="btn" disabled={!filesToSend.length || !targets.length} onClick={() => sendFiles(filesToSend, targets)}>Send {filesToSend.length || ''}</button>
 					</div>
-					{sendProgress.totalChunks > 0 && (
-						<div className="progress" style={{ marginTop: 8 }}>
-							<span style={{ width: `${sentPct}%` }} />
-						</div>
-					)}
-					{sendProgress.totalChunks > 0 && (
-						<div className="small" style={{ marginTop: 6 }}>
-							Sending {sendProgress.sentChunks}/{sendProgress.totalChunks} chunks ({sentPct}%)
-						</div>
-					)}
+					{outgoingRows.flatMap((row) => Object.entries(row.recipients || {}).map(([peerId, to]) => (
+						<TransferRow key={`${peerId}:${row.fileId}`} name={`${row.path} → ${peerId}`} size={row.size} done={to.sentChunks} total={row.totalChunks} state={barState(to)}>
+							{to.status === 'queued' && <span className="tag">Queued</span>}
+							{to.status === 'offered' && <span className="small">Waiting for {peerId} to accept…</span>}
+							{to.status === 'sending' && to.paused && <PausedTag by={to.paused} peer="receiver" />}
+							{to.status === 'sending' && <button className="btn secondary" onClick={() => pauseTransfer(row.fileId, peerId, !to.paused)}>{to.paused ? 'Resume' : 'Pause'}</button>}
+							{['queued', 'offered', 'sending'].includes(to.status) && <button className="btn secondary" onClick={() => cancelSending(row.fileId, peerId)}>Cancel</button>}
+							{to.status === 'verified' && <span className="tag success">Verified by receiver</span>}
+							{to.status === 'cancelled' && <span className="tag danger">Cancelled</span>}
+							{to.status === 'rejected' && <span className="tag danger">Rejected</span>}
+							{to.error && <span className="small error">{to.error}</span>}
+							{timelineLinks(`out:${row.fileId}:${peerId}`)}
+						</TransferRow>
+					)))}
 				</div>
 
 				<div className="panel">
-					<div className="card-title">Receive File</div>
-					{recvFileInfo && (
-						<div className="small">{recvFileInfo.name} ({recvFileInfo.size} bytes)</div>
-					)}
-					{recvProgress.totalChunks > 0 && (
-						<div className="progress" style={{ marginTop: 8 }}>
-							<span style={{ width: `${recvPct}%` }} />
-						</div>
-					)}
-					{recvProgress.totalChunks > 0 && (
-						<div className="small" style={{ marginTop: 6 }}>
-							Received {recvProgress.receivedChunks}/{recvProgress.totalChunks} chunks ({recvPct}%)
+					<div className="card-title">Receive Files</div>
+					<div className="row">
+						<span className="small">Incoming files are {saveTarget}</span>
+						{canPickFolder() && <button className="btn secondary" onClick={chooseDownloadFolder}>Choose folder…</button>}
+						{downloadFolder && !folderGranted && <button className="btn secondary" onClick={allowDownloadFolder}>Allow access to "{downloadFolder.name}"</button>}
+						{downloadFolder && <button className="btn secondary" onClick={useBrowserDownloads}>Forget folder</button>}
+					</div>
+					{incomingRows.map((row) => (
+						<TransferRow key={row.fileId} name={row.from ? `${row.path} ← ${row.from}` : row.path} size={row.size} done={row.receivedChunks} total={row.totalChunks} state={barState(row)}>
+							{row.status === 'offered' && <span className="small">{row.from} wants to send you a {row.type || 'file of unknown type'}</span>}
+							{row.status === 'offered' && <button className="btn" onClick={() => acceptOffer(row.fileId)}>Accept</button>}
+							{row.status === 'offered' && <button className="btn secondary" onClick={() => rejectOffer(row.fileId)}>Decline</button>}
+							{row.status === 'receiving' && row.paused && <PausedTag by={row.paused} peer="sender" />}
+							{row.status === 'receiving' && <button className="btn secondary" onClick={() => pauseTransfer(row.fileId, row.from, !row.paused)}>{row.paused ? 'Resume' : 'Pause'}</button>}
+							{row.status === 'receiving' && <button className="btn secondary" onClick={() => cancelReceiving(row.fileId)}>Cancel</button>}
+							{row.status === 'cancelled' && <span className="tag danger">Cancelled</span>}
+							{row.status === 'rejected' && <span className="tag danger">Declined</span>}
+							{row.error && <span className="small error">{row.error}</span>}
+							{row.corrupt > 0 && <span className="small">{row.corrupt} corrupt chunks dropped and requested again</span>}
+							{row.status === 'mismatch' && <span className="tag danger">SHA-256 mismatch</span>}
+							{row.status === 'verified' && <span className="tag success">Verified SHA-256</span>}
+							{row.status === 'failed' && <span className="tag danger">Not saved</span>}
+							{row.status === 'verified' && row.sink === 'idb' && <a className="link" href={row.url} download={row.path.split('/').pop()}>Download</a>}
+							{row.status === 'verified' && row.sink !== 'idb' && <span className="small">Saved to {row.location}</span>}
+							{timelineLinks(`in:${row.fileId}`)}
+						</TransferRow>
+					))}
+					{Object.entries(folders).map(([folder, { verified, total, zippable }]) => (
+						<div key={folder} className="row" style={{ marginTop: 8 }}>
+							{zippable && <button className="btn secondary" disabled={verified < total} onClick={() => downloadZip(folder)}>Download {folder}.zip</button>}
+							<span className="small">{folder}: {verified}/{total} files verified</span>
 						</div>
+					))}
+					{recvNotice && (
+						<div className="small error" style={{ marginTop: 6 }}>{recvNotice}</div>
 					)}
-					{downloadUrl && (
-						<div style={{ marginTop: 8 }}>
-							<a className="link" href={downloadUrl} download={recvFileInfo?.name || 'file'}>Download received file</a>
+					{partials.length > 0 && (
+						<div style={{ marginTop: 12 }}>
+							<div className="small">Partially received</div>
+							{partials.map((record) => (
+								<div key={record.fileId} className="row" style={{ marginTop: 6 }}>
+									<span className="small">
+										{record.path || record.name} - {record.receivedCount}/{record.totalChunks} chunks ({Math.round((record.receivedCount / Math.max(record.totalChunks, 1)) * 100)}%)
+									</span>
+									<button className="btn" disabled={!openPeers.length} onClick={() => requestResume(record)}>Resume</button>
+									<button className="btn secondary" onClick={() => discardPartial(record)}>Discard</button>
+								</div>
+							))}
 						</div>
 					)}
 				</div>
 			</div>
 
 			<div className="panel" style={{ marginTop: 16 }}>
-				<div className="card-title">Received Text</div>
-				<pre className="code" style={{ minHeight: 120 }}>{receivedText}</pre>
+				<div className="card-title">Chat</div>
+				<div className="code chat-log" ref={chatLogRef}>
+					{chat.length === 0 && <div className="small">No messages in this room yet</div>}
+					{chat.map((entry) => {
+						const time = new Date(entry.at).toLocaleTimeString()
+						if (entry.kind === 'file') {
+							const row = entry.direction === 'outgoing' ? outgoing[entry.fileId] : incoming[entry.fileId]
+							const live = entry.direction === 'outgoing' ? row?.recipients?.[entry.peerId] : row
+							return (
+								<div key={entry.id} className={entry.direction === 'outgoing' ? 'chat-entry mine' : 'chat-entry'}>
+									<div className="small">{entry.direction === 'outgoing' ? 'You' : entry.peerId} · {time}</div>
+									<FileCard entry={entry} live={live} total={row?.totalChunks} />
+								</div>
+							)
+						}
+						return (
+							<div key={entry.id} className={entry.mine ? 'chat-entry mine' : 'chat-entry'}>
+								<div className="small">{entry.mine ? 'You' : entry.from} · {time}</div>
+								<div className="chat-text">{entry.text}</div>
+								{entry.mine && (
+									<div className="row" style={{ gap: 6, marginTop: 2 }}>
+										<DeliveryState delivery={entry.delivery} />
+										{Object.values(entry.delivery).includes('failed') && <button className="btn secondary" onClick={() => retryChat(entry.id)}>Retry</button>}
+									</div>
+								)}
+							</div>
+						)
+					})}
+				</div>
+				<form className="row" style={{ marginTop: 10 }} onSubmit={sendChat}>
+					<input
+						className="input chat-input"
+						value={chatDraft}
+						maxLength={MAX_CHAT_LENGTH}
+						onChange={(e) => setChatDraft(e.target.value)}
+						placeholder={targets.length ? `Message ${sendTarget === 'all' ? 'everyone connected' : sendTarget}` : 'Connect to someone to chat'}
+					/>
+					<button className="btn" type="submit" disabled={!targets.length || !chatDraft.trim()}>Send</button>
+					<button className="btn secondary" type="button" disabled={!chat.length} onClick={clearChatHistory}>Clear history</button>
+				</form>
 			</div>
 		</div>
 	)
@@ -0,0 +1,590 @@
+// The reliability layer: guaranteed (and optionally ordered) delivery on top of a channel
+// that may lose, duplicate and reorder whatever we hand it - in the app that's an unreliable
+// RTCDataChannel or the server relay. It doesn't care what the channel is, as long as it has:
+//   readyState                  'open' while we may send on it
+//   send(frame)                 put one ArrayBuffer on the wire (it may get lost - that's fine)
+//   bufferedAmount              optional: bytes queued but not sent yet (for flow control)
+//   bufferedAmountLowThreshold  optional, together with addEventListener('bufferedamountlow', fn)
+// Incoming frames are handed to handleIncoming(channel, frame) by whoever owns the channel.
+// Time comes from a clock (now, setTimeout, clearTimeout) that can be swapped for a simulated
+// one, which is how the tests in client/test run hours of lossy traffic in a few seconds
+
+// The real clock: what the layer uses unless told otherwise
+export const systemClock = {
+	now: () => performance.now(),
+	setTimeout: (fn, ms) => setTimeout(fn, ms),
+	clearTimeout: (timer) => clearTimeout(timer)
+}
+
+// Sequence numbers are 32-bit and wrap around (see the `>>> 0` below), so a plain `<`
+// stops working once we pass 4 billion messages. Instead we use "serial number arithmetic":
+// a comes before b if walking forward from a reaches b in less than half the number space
+export function seqLessThan(a, b) {
+	return a !== b && ((b - a) >>> 0) < 0x80000000
+}
+
+export function seqAdd(a, n) {
+	return (a + n) >>> 0
+}
+
+// A random 32-bit number, used for sender epochs and transfer ids.
+// Every sender picks a random "epoch" number and starts its sequence numbers at 0 within it.
+// If the other side reloads the page or gives up after a failure it starts a fresh epoch,
+// which tells us its seq 0 is a brand new message and not a duplicate of an old one
+export function randomU32() {
+	return (Math.random() * 0x100000000) >>> 0
+}
+
+// How many retired epochs the receiver remembers, to ignore stragglers from them
+const RETIRED_EPOCHS_MAX = 8
+
+// How many sequence numbers after the cumulative ACK point fit in the selective-ACK bitmap
+const SACK_BITS = 32
+
+// Retransmission timeout limits, following RFC 6298 (the same rules TCP uses)
+const INITIAL_RTO_MS = 1000   // Before we have any RTT sample
+const MIN_RTO_MS = 200        // RFC says 1s, but that is far too slow for a LAN demo
+const MAX_RTO_MS = 10000      // Backoff never waits longer than this
+const CLOCK_GRANULARITY_MS = 10
+
+// Flow control: the DataChannel queues whatever we hand it in its own send buffer, and
+// overfilling that buffer makes send() throw. We stop feeding it above the high mark and
+// carry on once the browser says it drained below the low mark (bufferedamountlow)
+const BUFFERED_HIGH_BYTES = 1024 * 1024
+const BUFFERED_LOW_BYTES = 256 * 1024
+
+// Congestion control (AIMD): the window starts small and grows while everything gets
+// through, and is halved whenever a message times out - so it settles around what the
+// link can carry. The window picked in the UI is the ceiling it never grows past
+const INITIAL_CWND = 4
+
+// Our wire format. Instead of JSON text (and base64 for file bytes, which costs ~33% extra)
+// every frame is a small binary envelope: a fixed 24-byte header followed by the body.
+//
+//   offset  size  field
+//        0    u8  protocol version - lets peers notice they speak different formats
+//        1    u8  frame type (data or ack)
+//        2    u8  flags (FLAG_JSON: the body is a UTF-8 JSON control message like file-meta,
+//                        FLAG_DIGEST: a file chunk's body starts with the SHA-256 of its bytes)
+//        3    u8  reserved, always 0
+//        4   u32  sender epoch
+//        8   u32  sequence number
+//       12   u32  transfer id (file chunks only)
+//       16   u32  chunk index (file chunks only)
+//       20   u32  body length in bytes
+//       24     -  body
+//
+// All numbers are big-endian. An ACK's body is two u32s: the cumulative point and the SACK bitmap
+export const PROTOCOL_VERSION = 2
+export const HEADER_SIZE = 24
+export const FRAME_DATA = 1
+export const FRAME_ACK = 2
+const FLAG_JSON = 1
+const FLAG_DIGEST = 2
+export const DIGEST_SIZE = 32
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+export function encodeFrame({ type, flags = 0, epoch, seq, transferId = 0, chunkIndex = 0, body }) {
+	const buffer = new ArrayBuffer(HEADER_SIZE + body.byteLength)
+	const view = new DataView(buffer)
+	view.setUint8(0, PROTOCOL_VERSION)
+	view.setUint8(1, type)
+	view.setUint8(2, flags)
+	view.setUint32(4, epoch)
+	view.setUint32(8, seq)
+	view.setUint32(12, transferId)
+	view.setUint32(16, chunkIndex)
+	view.setUint32(20, body.byteLength)
+	new Uint8Array(buffer, HEADER_SIZE).set(body)
+	return buffer
+}
+
+// Returns null for garbage, or just { version } if the peer speaks a version we can't parse
+export function decodeFrame(buffer) {
+	if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 1) return null
+	const view = new DataView(buffer)
+	const version = view.getUint8(0)
+	if (version !== PROTOCOL_VERSION) return { version }
+	if (buffer.byteLength < HEADER_SIZE) return null
+	const length = view.getUint32(20)
+	if (HEADER_SIZE + length > buffer.byteLength) return null
+	return {
+		version,
+		type: view.getUint8(1),
+		flags: view.getUint8(2),
+		epoch: view.getUint32(4),
+		seq: view.getUint32(8),
+		transferId: view.getUint32(12),
+		chunkIndex: view.getUint32(16),
+		body: new Uint8Array(buffer, HEADER_SIZE, length)
+	}
+}
+
+// File chunks travel as raw bytes (behind their digest) with their transfer id and index in
+// the header; everything else (text, file-meta, file-complete) is a small JSON control message
+function encodePayload(payload) {
+	if (payload.kind === 'file-chunk') {
+		const data = new Uint8Array(payload.data)
+		if (!payload.digest) return { flags: 0, transferId: payload.transferId, chunkIndex: payload.index, body: data }
+		const body = new Uint8Array(DIGEST_SIZE + data.byteLength)
+		body.set(payload.digest)
+		body.set(data, DIGEST_SIZE)
+		return { flags: FLAG_DIGEST, transferId: payload.transferId, chunkIndex: payload.index, body }
+	}
+	return { flags: FLAG_JSON, body: textEncoder.encode(JSON.stringify(payload)) }
+}
+
+function decodePayload(frame) {
+	if (frame.flags & FLAG_JSON) return JSON.parse(textDecoder.decode(frame.body))
+	const chunk = { kind: 'file-chunk', transferId: frame.transferId, index: frame.chunkIndex, digest: null, data: frame.body }
+	if (frame.flags & FLAG_DIGEST) {
+		if (frame.body.byteLength < DIGEST_SIZE) throw new Error('Chunk too short for its digest')
+		chunk.digest = frame.body.subarray(0, DIGEST_SIZE)
+		chunk.data = frame.body.subarray(DIGEST_SIZE)
+	}
+	return chunk
+}
+
+function encodeAckBody(cum, sack) {
+	const body = new Uint8Array(8)
+	const view = new DataView(body.buffer)
+	view.setUint32(0, cum)
+	view.setUint32(4, sack)
+	return body
+}
+
+function decodeAckBody(body) {
+	if (body.byteLength < 8) return null
+	const view = new DataView(body.buffer, body.byteOffset, body.byteLength)
+	return { cum: view.getUint32(0), sack: view.getUint32(4) }
+}
+
+// This is our custom reliability system! WebRTC DataChannels are unreliable by default,
+// so we build our own "guaranteed delivery" system on top of it
+// Think of it like registered mail - every piece gets a tracking number and we keep
+// resending it until the other side confirms. With a window of N we may have up to N
+// pieces "in the mail" at once (selective repeat); a window of 1 is classic stop-and-wait
+//
+// options: windowSize, congestionControl, ordered, maxRetries, onFailure(err), clock, and
+// onRetransmit(seq, retries) and onRttSample(seq, rttMs) to hear about every resend and every
+// round trip measured (the app's event log and transfer timelines use them), and
+// onSendError(err) for a frame the channel refused (it also counts in stats.sendErrors)
+export function ReliabilityLayer(onDeliver, onStats, options = {}) {
+	const clock = options.clock || systemClock
+	// This keeps track of our reliability system's state
+	const state = {
+		epoch: randomU32(),          // Our current sender epoch (see randomU32)
+		nextSeq: 0,                    // What sequence number to send next
+		windowSize: options.windowSize || 1, // How many messages may wait for an ACK at the same time (the ceiling)
+		congestionControl: options.congestionControl ?? true, // Adapt the window to the link (AIMD) below that ceiling
+		cwnd: INITIAL_CWND,            // Congestion window: how many the link seems to handle right now
+		ssthresh: Infinity,            // Above this the window grows slowly (congestion avoidance), below it fast (slow start)
+		lastDecreaseAt: -Infinity,     // When we last halved the window, so one burst of losses only halves it once
+		dc: null,                      // The channel we last sent on (for reporting its buffer)
+		watched: new WeakSet(),        // Channels we already listen to for bufferedamountlow
+		stalled: false,                // Waiting for the channel's send buffer to drain
+		suspended: false,              // The connection is down and being recovered - hold everything (see suspend)
+		closed: null,                  // The error we were closed with (see close) - nothing gets sent after that
+		inflight: new Map(),           // seq -> message we sent but haven't had confirmed yet
+		queue: [],                     // Messages waiting for a free slot in the window
+		readyWaiters: [],              // Callers waiting for the window to have room again
+		srtt: null,                    // Smoothed round-trip time (null until the first sample)
+		rttvar: 0,                     // How much the RTT tends to wobble
+		rto: INITIAL_RTO_MS,           // How long to wait before retrying (adapts to the link)
+		maxRetries: options.maxRetries ?? 8, // Give up on a message after this many resends
+		ordered: options.ordered ?? true, // Receiver side: hold back early messages until the gap before them fills
+		recvEpoch: null,               // Receiver side: the epoch the other peer is currently sending in
+		retiredEpochs: [],             // Receiver side: epochs the other peer has abandoned
+		recvBase: 0,                   // Receiver side: next seq we expect (everything before it has arrived)
+		recvAhead: new Set(),          // Receiver side: seqs that arrived early, after a gap
+		recvBuffer: new Map(),         // Receiver side: early payloads waiting for their turn (ordered mode)
+		protocolError: '',             // Set if the other peer speaks a wire format we don't understand
+		stats: { sent: 0, received: 0, acks: 0, retransmits: 0, duplicates: 0, outOfOrder: 0, rttMs: 0, bytesSent: 0, bytesReceived: 0, ackedBytes: 0, stalls: 0, sendErrors: 0 },
+		rttHistory: [],                // Keep track of recent response times
+		rttHistoryMax: 40              // Don't store too much history
+	}
+
+	// Send a message like registered mail. The returned promise resolves once the
+	// other peer has confirmed it. If the window is full the message waits in line
+	function send(dc, payload) {
+		if (state.closed) return Promise.reject(state.closed)
+		if (!dc || dc.readyState !== 'open') return Promise.reject(new Error('DataChannel is not open'))
+		state.dc = dc
+		return new Promise((resolve, reject) => {
+			state.queue.push({ dc, payload, resolve, reject })
+			pump()
+		})
+	}
+
+	// How many messages may be in flight right now
+	function currentWindow() {
+		if (!state.congestionControl) return state.windowSize
+		return Math.max(1, Math.min(Math.floor(state.cwnd), state.windowSize))
+	}
+
+	// Move queued messages into the window while there is room (and the channel's buffer has room too)
+	function pump() {
+		while (!state.closed && !state.suspended && state.queue.length && state.inflight.size < currentWindow()) {
+			const { dc } = state.queue[0]
+			if (dc.readyState === 'open' && dc.bufferedAmount > BUFFERED_HIGH_BYTES) {
+				if (!state.stalled) state.stats.stalls++
+				state.stalled = true
+				watchBuffer(dc)  // bufferedamountlow calls pump() again
+				break
+			}
+			state.stalled = false
+			const { payload, resolve, reject } = state.queue.shift()
+			const seq = state.nextSeq
+			state.nextSeq = seqAdd(state.nextSeq, 1)
+			const frame = encodeFrame({ type: FRAME_DATA, epoch: state.epoch, seq, ...encodePayload(payload) })
+			state.inflight.set(seq, { dc, frame, resolve, reject, sentAt: 0, timer: null, retries: 0 })
+			transmit(seq)
+		}
+		notifyReady()
+		update()
+	}
+
+	function watchBuffer(dc) {
+		if (state.watched.has(dc)) return
+		state.watched.add(dc)
+		dc.bufferedAmountLowThreshold = BUFFERED_LOW_BYTES
+		dc.addEventListener('bufferedamountlow', () => pump())
+	}
+
+	// Put one message on the wire and start its own retry timer
+	function transmit(seq) {
+		const entry = state.inflight.get(seq)
+		if (!entry) return
+		if (entry.dc.readyState === 'open') {
+			try {
+				entry.dc.send(entry.frame)
+				state.stats.sent++
+				state.stats.bytesSent += entry.frame.byteLength
+			} catch (err) {
+				// The send buffer overflowed anyway - treat it like a lost frame, the timer resends it
+				state.stats.sendErrors++
+				if (options.onSendError) options.onSendError(err)
+			}
+		}
+		entry.sentAt = clock.now()
+		// Exponential backoff: every resend of the same message waits twice as long
+		const timeout = Math.min(state.rto * 2 ** entry.retries, MAX_RTO_MS)
+		// If we don't hear back in time, send just this one again (the others have their own timers)
+		entry.timer = clock.setTimeout(() => {
+			if (!state.inflight.has(seq) || state.suspended) return
+			if (entry.retries >= state.maxRetries) {
+				fail(new Error(`Peer unreachable: no ACK after ${entry.retries} retries`))
+				return
+			}
+			entry.retries++
+			state.stats.retransmits++
+			if (options.onRetransmit) options.onRetransmit(seq, entry.retries)
+			congestionLoss()
+			transmit(seq)
+			update()
+		}, timeout)
+	}
+
+	// RFC 6298: fold a new RTT sample into the smoothed RTT and its variance, then derive the RTO
+	function updateRto(rtt) {
+		if (state.srtt === null) {
+			state.srtt = rtt
+			state.rttvar = rtt / 2
+		} else {
+			state.rttvar = 0.75 * state.rttvar + 0.25 * Math.abs(state.srtt - rtt)
+			state.srtt = 0.875 * state.srtt + 0.125 * rtt
+		}
+		const rto = state.srtt + Math.max(CLOCK_GRANULARITY_MS, 4 * state.rttvar)
+		state.rto = Math.min(Math.max(rto, MIN_RTO_MS), MAX_RTO_MS)
+	}
+
+	// Additive increase: every confirmed message grows the window by one in slow start,
+	// and by about one per window's worth of confirmations after that
+	function congestionGrow() {
+		if (state.cwnd < state.ssthresh) state.cwnd += 1
+		else state.cwnd += 1 / state.cwnd
+		state.cwnd = Math.min(state.cwnd, state.windowSize)  // Growing past the ceiling would be meaningless
+	}
+
+	// Multiplicative decrease: a timeout means the link is overloaded, so halve the window.
+	// The messages sent in the same round trip time out together - that counts as one loss
+	function congestionLoss() {
+		const now = clock.now()
+		if (now - state.lastDecreaseAt < (state.srtt ?? state.rto)) return
+		state.lastDecreaseAt = now
+		state.ssthresh = Math.max(state.cwnd / 2, 1)
+		state.cwnd = state.ssthresh
+	}
+
+	// A message ran out of retries, so the peer is gone - give up on everything we were
+	// sending rather than leaving callers waiting forever
+	function fail(err) {
+		const entries = dropAll()
+		// Start over in a new epoch so the receiver doesn't wait forever for the seqs we abandoned
+		state.epoch = randomU32()
+		state.nextSeq = 0
+		state.cwnd = INITIAL_CWND
+		state.ssthresh = Infinity
+		for (const entry of entries) entry.reject(err)
+		if (options.onFailure) options.onFailure(err)
+		notifyReady()
+		update()
+	}
+
+	// Stop every retry timer and empty the window and the queue; returns what was in them
+	function dropAll() {
+		const entries = [...state.inflight.values(), ...state.queue]
+		for (const entry of state.inflight.values()) clock.clearTimeout(entry.timer)
+		state.inflight.clear()
+		state.queue = []
+		return entries
+	}
+
+	// The connection is gone for good. Everything in flight or queued fails with `err` (even while
+	// suspended, when no timer would ever get to it), waiters in whenReady() go on and find that
+	// every send() fails from now on
+	function close(err = new Error('Connection closed')) {
+		if (state.closed) return
+		state.closed = err
+		state.suspended = false
+		for (const entry of dropAll()) entry.reject(err)
+		notifyReady()
+		update()
+	}
+
+	// The message with this seq got confirmed - stop its timer and tell whoever sent it
+	function acknowledge(seq) {
+		const entry = state.inflight.get(seq)
+		if (!entry) return false
+		clock.clearTimeout(entry.timer)
+		state.inflight.delete(seq)
+		state.stats.ackedBytes += entry.frame.byteLength - HEADER_SIZE
+		congestionGrow()
+		entry.resolve()
+		return true
+	}
+
+	function hasRoom() {
+		if (state.closed) return true  // Nothing will ever free a slot - let callers find out from send()
+		return !state.suspended && state.queue.length === 0 && state.inflight.size < currentWindow()
+	}
+
+	// The connection dropped and is being recovered (ICE restart). Nothing gets through right now,
+	// so stop the retry timers - otherwise a long outage would use up every message's retries and
+	// fail the transfer. Everything in flight or queued stays exactly where it is
+	function suspend() {
+		if (state.suspended || state.closed) return
+		state.suspended = true
+		for (const entry of state.inflight.values()) clock.clearTimeout(entry.timer)
+		update()
+	}
+
+	// Move everything in flight or queued over to another channel, e.g. the server relay after
+	// the direct connection gave up. Call resume() afterwards to get it moving again
+	function retarget(dc) {
+		for (const entry of state.inflight.values()) entry.dc = dc
+		for (const entry of state.queue) entry.dc = dc
+	}
+
+	// We're back: resend everything still unconfirmed right away and carry on where we left off.
+	// The retry count starts over (the outage wasn't the peer's fault), but stays above 0 so
+	// a late ACK for a copy sent before the outage isn't taken as an RTT sample (Karn's rule)
+	function resume() {
+		if (!state.suspended) return
+		state.suspended = false
+		for (const [seq, entry] of state.inflight) {
+			entry.retries = 1
+			state.stats.retransmits++
+			if (options.onRetransmit) options.onRetransmit(seq, entry.retries)
+			transmit(seq)
+		}
+		pump()
+	}
+
+	// Resolves once there is room in the window, so bulk senders don't queue up a whole file in memory
+	function whenReady() {
+		if (hasRoom()) return Promise.resolve()
+		return new Promise((resolve) => state.readyWaiters.push(resolve))
+	}
+
+	function notifyReady() {
+		while (state.readyWaiters.length && hasRoom()) state.readyWaiters.shift()()
+	}
+
+	function setWindowSize(n) {
+		state.windowSize = Math.max(1, n | 0)
+		state.cwnd = Math.min(state.cwnd, state.windowSize)
+		pump()
+	}
+
+	function setCongestionControl(enabled) {
+		state.congestionControl = !!enabled
+		pump()
+	}
+
+	// Receiver side: decide whether a frame belongs to the sender's current epoch.
+	// A new epoch means the sender started over, so forget what we knew about its seqs.
+	// Whatever we held back behind a gap was already ACKed (the sender told its caller it
+	// arrived), so it goes to the app now - the gap itself is never going to be filled
+	function acceptEpoch(epoch) {
+		if (epoch === state.recvEpoch) return true
+		if (state.retiredEpochs.includes(epoch)) return false  // A straggler from before the restart
+		if (state.recvEpoch !== null) {
+			state.retiredEpochs.push(state.recvEpoch)
+			if (state.retiredEpochs.length > RETIRED_EPOCHS_MAX) state.retiredEpochs.shift()
+		}
+		state.recvEpoch = epoch
+		state.recvBase = 0
+		state.recvAhead.clear()
+		releaseHeld()
+		return true
+	}
+
+	// Receiver side: record that this seq arrived and return the payloads that are now
+	// ready for the app (none for a duplicate, several if it filled a gap in ordered mode)
+	function receive(seq, payload) {
+		if (seqLessThan(seq, state.recvBase) || state.recvAhead.has(seq)) {
+			// We already have it - the sender just didn't hear our ACK
+			state.stats.duplicates++
+			return []
+		}
+		if (seq !== state.recvBase) {
+			// It overtook an older message - remember it, and hold it back if we deliver in order
+			state.stats.outOfOrder++
+			state.recvAhead.add(seq)
+			if (!state.ordered) return [payload]
+			state.recvBuffer.set(seq, payload)
+			return []
+		}
+		// It's exactly the one we were waiting for - it may also release the ones queued behind it
+		const ready = [payload]
+		state.recvBase = seqAdd(state.recvBase, 1)
+		while (state.recvAhead.delete(state.recvBase)) {
+			if (state.recvBuffer.has(state.recvBase)) {
+				ready.push(state.recvBuffer.get(state.recvBase))
+				state.recvBuffer.delete(state.recvBase)
+			}
+			state.recvBase = seqAdd(state.recvBase, 1)
+		}
+		return ready
+	}
+
+	// Switching to unordered delivery hands over whatever we were holding back
+	function setOrdered(ordered) {
+		state.ordered = !!ordered
+		if (!state.ordered) releaseHeld()
+	}
+
+	// Deliver every payload held back behind a gap, in seq order
+	function releaseHeld() {
+		const held = [...state.recvBuffer.keys()].sort((a, b) => (seqLessThan(a, b) ? -1 : 1))
+		const payloads = held.map((seq) => state.recvBuffer.get(seq))
+		state.recvBuffer.clear()
+		payloads.forEach(onDeliver)
+	}
+
+	// Bit i set means recvBase + 1 + i has arrived (recvBase itself is the first gap)
+	function sackBitmap() {
+		let bits = 0
+		for (let i = 0; i < SACK_BITS; i++) {
+			if (state.recvAhead.has(seqAdd(state.recvBase, i + 1))) bits |= (1 << i)
+		}
+		return bits >>> 0
+	}
+
+	// Handle messages coming in from the other peer
+	function handleIncoming(dc, raw) {
+		// Text frames come from peers running the old JSON protocol
+		if (typeof raw === 'string') {
+			incompatible('Peer speaks the old JSON protocol - ask them to reload')
+			return
+		}
+		const msg = decodeFrame(raw)
+		if (!msg) return  // Ignore malformed frames
+		if (msg.version !== PROTOCOL_VERSION) {
+			incompatible(`Peer speaks protocol v${msg.version}, we speak v${PROTOCOL_VERSION}`)
+			return
+		}
+		// Got a data message - send back a "got it!" confirmation
+		if (msg.type === FRAME_DATA) {
+			let payload
+			try { payload = decodePayload(msg) } catch { return }  // Ignore control messages we can't parse
+			state.stats.received++
+			state.stats.bytesReceived += raw.byteLength
+			if (!acceptEpoch(msg.epoch)) {
+				state.stats.duplicates++
+				update()
+				return
+			}
+			const ready = receive(msg.seq, payload)
+			update()
+			// The ACK names this seq, everything before `cum`, and a bitmap of what we hold after it,
+			// so one lost ACK gets covered by the next one. Duplicates get ACKed again too
+			const ack = encodeFrame({ type: FRAME_ACK, epoch: msg.epoch, seq: msg.seq, body: encodeAckBody(state.recvBase, sackBitmap()) })
+			try {
+				dc.send(ack)
+				state.stats.bytesSent += ack.byteLength
+			} catch {}  // A lost ACK is fine - the sender retries and we ACK the duplicate
+			ready.forEach(onDeliver)  // Actually deliver the message(s) to the app
+			return
+		}
+		// Got a confirmation! The other peer received one or more of our messages
+		// (ACKs for an epoch we abandoned would confirm the wrong messages, so skip those)
+		if (msg.type === FRAME_ACK && msg.epoch === state.epoch) {
+			state.stats.bytesReceived += raw.byteLength
+			const sackInfo = decodeAckBody(msg.body)
+			const entry = state.inflight.get(msg.seq)
+			// Karn's rule: if we sent it more than once we can't tell which copy got ACKed,
+			// so the sample would be misleading - skip it
+			if (entry && entry.retries === 0) {
+				// Calculate how long the round trip took (like ping time)
+				const rtt = Math.round(clock.now() - entry.sentAt)
+				state.stats.rttMs = rtt
+				state.rttHistory.push(rtt)  // Keep track for the chart
+				if (state.rttHistory.length > state.rttHistoryMax) state.rttHistory.shift()
+				updateRto(rtt)
+				if (options.onRttSample) options.onRttSample(msg.seq, rtt)
+			}
+			let any = acknowledge(msg.seq)
+			if (sackInfo) {
+				const { cum, sack } = sackInfo
+				for (const seq of [...state.inflight.keys()]) {
+					const offset = (seq - cum - 1) >>> 0
+					const selected = offset < SACK_BITS && ((sack >>> offset) & 1) === 1
+					if (seqLessThan(seq, cum) || selected) any = acknowledge(seq) || any
+				}
+			}
+			if (any) state.stats.acks++
+			// Freed slots in the window - send whatever is waiting
+			pump()
+		}
+	}
+
+	// Only report the first mismatch - every following frame would say the same thing
+	function incompatible(reason) {
+		if (state.protocolError) return
+		state.protocolError = reason
+		update()
+	}
+
+	function update() {
+		onStats({
+			...state.stats,
+			rtoMs: Math.round(state.rto),
+			windowSize: currentWindow(),
+			maxWindow: state.windowSize,
+			cwnd: Math.round(state.cwnd * 10) / 10,
+			ssthresh: state.ssthresh,
+			congestionControl: state.congestionControl,
+			bufferedAmount: (state.dc && state.dc.bufferedAmount) || 0,
+			inflight: state.inflight.size,
+			protocolError: state.protocolError,
+			suspended: state.suspended,
+			rttHistory: [...state.rttHistory]
+		})
+	}
+
+	return { send, whenReady, setWindowSize, setCongestionControl, setOrdered, suspend, resume, retarget, close, handleIncoming }
+}
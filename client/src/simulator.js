@@ -0,0 +1,221 @@
+// A pretend network for the reliability layer: two channel ends joined by a link that loses,
+// duplicates, reorders and delays frames as much as we ask it to. Together with the virtual
+// clock below it runs entirely in memory, so the tests can push thousands of frames through a
+// terrible link in a blink - and because the randomness is seeded, a failing run can be repeated
+
+// How a link misbehaves. Every field is optional:
+//   loss                 chance (0-1) that a frame vanishes
+//   duplicate            chance that a frame arrives twice
+//   reorder              chance that a frame is held back by reorderDelayMs, so later ones overtake it
+//   delayMs, jitterMs    one-way delay, plus up to jitterMs of random extra delay per frame
+//   bandwidthBytesPerSec how fast frames leave the sender; 0 means instantly. Frames waiting to
+//                        leave count in bufferedAmount, so flow control gets something to do
+export const IMPAIRMENT_PROFILES = {
+	clean: { delayMs: 10 },
+	lossy: { loss: 0.1, delayMs: 20, jitterMs: 5 },
+	veryLossy: { loss: 0.3, delayMs: 20, jitterMs: 5 },
+	duplicating: { duplicate: 0.2, delayMs: 20 },
+	reordering: { reorder: 0.3, reorderDelayMs: 30, delayMs: 20 },
+	jittery: { delayMs: 40, jitterMs: 80 },
+	narrow: { delayMs: 20, bandwidthBytesPerSec: 256 * 1024 },
+	terrible: { loss: 0.2, duplicate: 0.1, reorder: 0.2, reorderDelayMs: 40, delayMs: 50, jitterMs: 40 }
+}
+
+// A small seeded random number generator (mulberry32): the same seed gives the same run
+export function createRandom(seed = 1) {
+	let a = seed >>> 0
+	return () => {
+		a = (a + 0x6d2b79f5) >>> 0
+		let t = a
+		t = Math.imul(t ^ (t >>> 15), t | 1)
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+	}
+}
+
+// A clock where time only moves when we say so. It has the same now/setTimeout/clearTimeout
+// as systemClock in reliability.js; run() fires the timers in order, jumping straight to
+// the next one instead of waiting for it
+export function createVirtualClock() {
+	let now = 0
+	let nextId = 1
+	const timers = new Map()  // id -> { at, fn }
+
+	// Let pending promise callbacks (like a sender awaiting whenReady) run before time moves on
+	const settle = () => new Promise((resolve) => (typeof setImmediate === 'function' ? setImmediate(resolve) : setTimeout(resolve, 0)))
+
+	return {
+		now: () => now,
+		setTimeout(fn, ms = 0) {
+			const id = nextId++
+			timers.set(id, { at: now + Math.max(0, ms), fn })
+			return id
+		},
+		clearTimeout(id) {
+			timers.delete(id)
+		},
+		// Fire timers one after the other until done() says so. Throws if nothing is left to
+		// happen (the run is stuck) or the clock passes maxMs
+		async run(done, { maxMs = 60 * 60 * 1000 } = {}) {
+			for (;;) {
+				await settle()
+				if (done()) return now
+				let next = null
+				for (const [id, timer] of timers) {
+					if (!next || timer.at < next.timer.at) next = { id, timer }
+				}
+				if (!next) throw new Error(`Nothing left to do at ${now}ms, but not done either`)
+				if (next.timer.at > maxMs) throw new Error(`Still not done after ${maxMs}ms`)
+				timers.delete(next.id)
+				now = next.timer.at
+				next.timer.fn()
+			}
+		}
+	}
+}
+
+// Put a link's misbehaviour between a sender and `deliver`: returns a send function that takes
+// a frame and calls deliver(frame) later - or twice, or never. `onDeparted(bytes)` hears when
+// a frame has left the sender (with a bandwidth limit that's not right away), `onEvent(type, frame)`
+// when one is dropped, duplicated or held back ('drop', 'duplicate', 'reorder')
+export function createImpairment(profile, deliver, { clock, random = Math.random, onDeparted = () => {}, onEvent = () => {} }) {
+	const { loss = 0, duplicate = 0, reorder = 0, reorderDelayMs = 20, delayMs = 0, jitterMs = 0, bandwidthBytesPerSec = 0 } = profile
+	let freeAt = 0  // When the sender's "wire" is free again (bandwidth limit)
+
+	const arrive = (frame) => {
+		if (random() < loss) return onEvent('drop', frame)
+		const copies = random() < duplicate ? 2 : 1
+		if (copies > 1) onEvent('duplicate', frame)
+		for (let i = 0; i < copies; i++) {
+			let delay = delayMs + random() * jitterMs
+			if (random() < reorder) {
+				delay += reorderDelayMs
+				onEvent('reorder', frame)
+			}
+			clock.setTimeout(() => deliver(frame), delay)
+		}
+	}
+
+	return (frame) => {
+		const bytes = frame.byteLength
+		if (!bandwidthBytesPerSec) {
+			onDeparted(bytes)
+			arrive(frame)
+			return
+		}
+		const start = Math.max(clock.now(), freeAt)
+		freeAt = start + (bytes / bandwidthBytesPerSec) * 1000
+		clock.setTimeout(() => {
+			onDeparted(bytes)
+			arrive(frame)
+		}, freeAt - clock.now())
+	}
+}
+
+// One end of a simulated link. It looks like a DataChannel to the reliability layer:
+// readyState, send(), bufferedAmount and bufferedamountlow; what arrives goes to onmessage
+function createEnd() {
+	const listeners = []
+	return {
+		readyState: 'open',
+		bufferedAmount: 0,
+		bufferedAmountLowThreshold: 0,
+		onmessage: null,
+		sent: 0,  // Frames handed to send(), for the tests to look at
+		addEventListener(type, listener) {
+			if (type === 'bufferedamountlow') listeners.push(listener)
+		},
+		drained(bytes) {
+			const wasAbove = this.bufferedAmount > this.bufferedAmountLowThreshold
+			this.bufferedAmount -= bytes
+			if (wasAbove && this.bufferedAmount <= this.bufferedAmountLowThreshold) listeners.forEach((listener) => listener())
+		}
+	}
+}
+
+// Two connected channel ends, `a` and `b`. Both directions follow the same profile and draw
+// from the same seeded randomness. Set `a.readyState`/`b.readyState` to something other than 'open', or call
+// `setProfile`, to change the link while it runs (an outage is just loss: 1)
+export function createSimulatedLink(profile = {}, { clock, seed = 1 } = {}) {
+	const random = createRandom(seed)
+	let current = profile
+	const a = createEnd()
+	const b = createEnd()
+
+	const connect = (from, to) => {
+		let send = null
+		const build = () => {
+			const deliver = (frame) => {
+				if (to.readyState === 'open' && to.onmessage) to.onmessage({ data: frame })
+			}
+			send = createImpairment(current, deliver, { clock, random, onDeparted: (bytes) => from.drained(bytes) })
+		}
+		build()
+		from.send = (frame) => {
+			if (from.readyState !== 'open') throw new Error('Channel is not open')
+			from.sent++
+			from.bufferedAmount += frame.byteLength
+			send(frame.slice(0))  // A copy, like a real network - the sender may reuse its buffer
+		}
+		return build
+	}
+	const rebuilds = [connect(a, b), connect(b, a)]
+
+	return {
+		a,
+		b,
+		setProfile(next) {
+			current = next
+			rebuilds.forEach((rebuild) => rebuild())
+		}
+	}
+}
+
+// The same misbehaviour in front of a real channel, for demos on a network that loses nothing
+// (like localhost). Frames we send pass through the `outgoing` profile on their way to
+// chan.send; frames that arrive are handed to receive() and pass through `incoming` on their
+// way to onmessage. A null profile lets frames straight through. To the reliability layer this
+// looks like the channel itself. onEvent(direction, type, frame) hears what createImpairment does
+export function createImpairedChannel(chan, { clock, random = Math.random, onEvent = () => {} }) {
+	let outgoing = null
+	let incoming = null
+
+	// A frame we held back may find the channel closed by the time it leaves - then it's lost,
+	// like any other frame the network ate
+	const depart = (frame) => {
+		if (chan.readyState !== 'open') return
+		try {
+			chan.send(frame)
+		} catch {}
+	}
+	const arrive = (data) => impaired.onmessage?.({ data })
+	const build = (direction, profile, deliver) => {
+		if (!profile) return null
+		return createImpairment(profile, deliver, { clock, random, onEvent: (type, frame) => onEvent(direction, type, frame) })
+	}
+
+	const impaired = {
+		channel: chan,
+		onmessage: null,
+		get readyState() {
+			return chan.readyState
+		},
+		get bufferedAmount() {
+			return chan.bufferedAmount || 0
+		},
+		get bufferedAmountLowThreshold() {
+			return chan.bufferedAmountLowThreshold
+		},
+		set bufferedAmountLowThreshold(bytes) {
+			chan.bufferedAmountLowThreshold = bytes
+		},
+		addEventListener: (type, listener) => chan.addEventListener(type, listener),
+		send: (frame) => (outgoing ? outgoing(frame) : chan.send(frame)),
+		receive: (data) => (incoming ? incoming(data) : arrive(data)),
+		setProfiles(profiles) {
+			outgoing = build('outgoing', profiles.outgoing, depart)
+			incoming = build('incoming', profiles.incoming, arrive)
+		}
+	}
+	return impaired
+}
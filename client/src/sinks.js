@@ -0,0 +1,211 @@
+// Where received chunks end up. Every sink takes verified chunks as they arrive:
+//   fs:       streamed into a file in a folder the user picked (File System Access API)
+//   download: streamed into a regular browser download through a service worker
+//   idb:      kept in IndexedDB until the file is complete (the fallback, and the only
+//             one that survives a page reload, since a half-written stream can't be reopened)
+// The streaming sinks write strictly in chunk order, so they never hold the file in memory.
+// wants(index) says whether a sink takes that chunk right now - a streaming sink holding too much
+// behind a gap turns the rest down, and they count as missing until the sender repairs the file
+import { loadChunks, loadSetting, saveChunk, saveSetting } from './transferStore'
+
+const FOLDER_KEY = 'download-folder'
+
+export function canPickFolder() {
+	return typeof window.showDirectoryPicker === 'function'
+}
+
+export function canStreamDownloads() {
+	return 'serviceWorker' in navigator && window.isSecureContext
+}
+
+// Ask the user for a folder to save incoming files into, and remember it for next time
+export async function pickDownloadFolder() {
+	const folder = await window.showDirectoryPicker({ mode: 'readwrite' })
+	await saveSetting(FOLDER_KEY, folder)
+	return folder
+}
+
+export function loadDownloadFolder() {
+	return loadSetting(FOLDER_KEY)
+}
+
+export function forgetDownloadFolder() {
+	return saveSetting(FOLDER_KEY, null)
+}
+
+// Browsers forget folder permissions between visits; asking again needs a click (`request`)
+export async function folderAccess(folder, request = false) {
+	const opts = { mode: 'readwrite' }
+	if ((await folder.queryPermission(opts)) === 'granted') return true
+	return request && (await folder.requestPermission(opts)) === 'granted'
+}
+
+// Pick the best sink we can get for a new incoming file
+export async function openSink(record, folder) {
+	if (folder) {
+		try {
+			if (await folderAccess(folder)) return await openFolderSink(folder, record)
+		} catch (err) {
+			console.warn('Could not write into the chosen folder', err)
+		}
+	}
+	if (canStreamDownloads()) {
+		try {
+			return await openDownloadSink(record)
+		} catch (err) {
+			console.warn('Could not start a streamed download', err)
+		}
+	}
+	return openIndexedDbSink(record)
+}
+
+// Store chunks in IndexedDB next to the transfer record; the file is glued together at the end
+export function openIndexedDbSink(record) {
+	return {
+		kind: 'idb',
+		location: '',
+		wants: () => true,
+		write: (index, data, snapshot) => saveChunk(snapshot, index, data),
+		async finish() {
+			const parts = await loadChunks(record.fileId)
+			return { blob: new Blob(parts, { type: record.type || 'application/octet-stream' }) }
+		},
+		abort() {}
+	}
+}
+
+// How much a streaming sink holds in memory waiting for a gap to fill: a corrupt or lost
+// chunk only comes again once the sender repairs the file, after everything else
+const EARLY_BYTES_MAX = 32 * 1024 * 1024
+
+// Takes chunks in any order and hands them to `write` strictly by index, so a sink can
+// simply append. Early chunks wait in memory, up to EARLY_BYTES_MAX (see wants).
+// accept() resolves once everything it let through is written, so a caller that waits for it
+// goes no faster than the disk (or the download) can take the bytes
+function orderedWriter(write) {
+	const early = new Map()
+	let earlyBytes = 0
+	let next = 0
+	let chain = Promise.resolve()
+	let error = null
+	return {
+		wants(index) {
+			return index === next || (index > next && earlyBytes < EARLY_BYTES_MAX)
+		},
+		accept(index, data) {
+			if (error) return Promise.reject(error)
+			if (index < next) return Promise.resolve()
+			early.set(index, data)
+			earlyBytes += data.byteLength
+			while (early.has(next)) {
+				const chunk = early.get(next)
+				early.delete(next)
+				earlyBytes -= chunk.byteLength
+				next++
+				chain = chain
+					.then(() => { if (!error) return write(chunk) })
+					.catch((err) => { error = error || err })
+			}
+			return this.drain()
+		},
+		// Resolves once everything accepted so far is written
+		async drain() {
+			await chain
+			if (error) throw error
+		}
+	}
+}
+
+// Walk (and create) the sub-folders of `path` and return a handle for the file at its end
+async function fileHandleAt(folder, path) {
+	const parts = path.split('/').filter((part) => part && part !== '.' && part !== '..')
+	let dir = folder
+	for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create: true })
+	return dir.getFileHandle(parts[parts.length - 1] || 'file', { create: true })
+}
+
+async function openFolderSink(folder, record) {
+	const handle = await fileHandleAt(folder, record.path)
+	const writable = await handle.createWritable()
+	const writer = orderedWriter((data) => writable.write(data))
+	return {
+		kind: 'fs',
+		location: `${folder.name}/${record.path}`,
+		wants: (index) => writer.wants(index),
+		write: (index, data) => writer.accept(index, data),
+		async finish() {
+			await writer.drain()
+			await writable.close()
+			// Hand back the file as it is on disk, so the caller verifies what actually landed there
+			return { blob: await handle.getFile() }
+		},
+		abort: () => writable.abort().catch(() => {})
+	}
+}
+
+let workerPromise = null
+
+function downloadWorker() {
+	if (!workerPromise) {
+		workerPromise = navigator.serviceWorker.register('/download-sw.js').then(async (reg) => {
+			if (reg.active) return reg.active
+			const worker = reg.installing || reg.waiting
+			await new Promise((resolve) => {
+				worker.addEventListener('statechange', () => {
+					if (worker.state === 'activated') resolve()
+				})
+			})
+			return worker
+		})
+		workerPromise.catch(() => { workerPromise = null })  // Try again next time
+	}
+	return workerPromise
+}
+
+async function openDownloadSink(record) {
+	const worker = await downloadWorker()
+	const filename = record.path.split('/').pop() || 'file'
+	const url = `${location.origin}/__download__/${Math.random().toString(36).slice(2)}/${encodeURIComponent(filename)}`
+	const channel = new MessageChannel()
+	let cancelled = null
+	let taken = null  // Resolves when the service worker wants the next chunk (see download-sw.js)
+	await new Promise((resolve) => {
+		channel.port1.onmessage = ({ data }) => {
+			if (data === 'ready') resolve()
+			if (data === 'pull' && taken) taken.resolve()
+			if (data === 'cancelled') {
+				cancelled = new Error('The download was cancelled in the browser')
+				if (taken) taken.reject(cancelled)
+			}
+		}
+		worker.postMessage({ url, filename, size: record.size }, [channel.port2])
+	})
+	// Opening the URL in a hidden iframe starts the download; the service worker answers it
+	const iframe = document.createElement('iframe')
+	iframe.hidden = true
+	iframe.src = url
+	document.body.appendChild(iframe)
+	const writer = orderedWriter((data) => {
+		if (cancelled) throw cancelled
+		const next = new Promise((resolve, reject) => { taken = { resolve, reject } })
+		channel.port1.postMessage(data, [data.buffer])  // Hand over the bytes instead of copying them
+		return next
+	})
+	return {
+		kind: 'download',
+		location: 'your browser downloads',
+		wants: (index) => writer.wants(index),
+		write: (index, data) => writer.accept(index, data),
+		async finish() {
+			await writer.drain()
+			channel.port1.postMessage('end')
+			setTimeout(() => iframe.remove(), 1000)
+			return {}  // The bytes are gone from the page - the caller checks its chunk digests instead
+		},
+		abort() {
+			channel.port1.postMessage('abort')
+			iframe.remove()
+			if (taken) taken.reject(new Error('Download aborted'))  // Nothing will ask for more now
+		}
+	}
+}
@@ -0,0 +1,85 @@
+// A recording of one file transfer to or from one peer, so runs with different settings
+// (window size, congestion control, a simulated network…) can be compared afterwards.
+// A timeline is plain data:
+//   info:    what was sent, to whom, with which settings, and how it ended
+//   samples: one row per second - progress, the reliability layer's stats, rates, and what the
+//            browser's getStats() says about the ICE candidate pair, SCTP and the DataChannel
+//   events:  every RTT sample and every resend, as they happened
+// Times (`t`) are milliseconds since the transfer started
+
+// The columns of a sample, in CSV order
+export const SAMPLE_FIELDS = [
+	'doneChunks', 'totalChunks', 'transferRate',
+	'rttMs', 'rtoMs', 'cwnd', 'windowSize', 'inflight', 'bufferedAmount',
+	'sent', 'acks', 'retransmits', 'duplicates', 'outOfOrder', 'throughput', 'goodput',
+	'transport', 'pairState', 'iceRttMs', 'availableOutgoingBitrate', 'localCandidate', 'remoteCandidate',
+	'sctpState', 'maxMessageSize', 'channelBytesSent', 'channelBytesReceived'
+]
+
+export function createTimeline(info) {
+	return { info: { ...info, startedAt: Date.now(), endedAt: null, outcome: '' }, samples: [], events: [] }
+}
+
+export function addSample(timeline, sample) {
+	timeline.samples.push({ t: Date.now() - timeline.info.startedAt, ...sample })
+}
+
+// event: { type: 'rtt', seq, rttMs } or { type: 'retransmit', seq, retries }, with `at` from Date.now()
+export function addEvent(timeline, { at, ...event }) {
+	timeline.events.push({ t: at - timeline.info.startedAt, ...event })
+}
+
+export function endTimeline(timeline, outcome) {
+	timeline.info.endedAt = Date.now()
+	timeline.info.outcome = outcome
+}
+
+export function timelineToJSON(timeline) {
+	return JSON.stringify(timeline, null, 2)
+}
+
+// Samples and events in one table, in time order, told apart by `kind`. Cells that don't
+// apply to a row stay empty
+export function timelineToCSV(timeline) {
+	const columns = ['t', 'kind', 'seq', 'retries', 'rttSampleMs', ...SAMPLE_FIELDS]
+	const rows = [
+		...timeline.samples.map((sample) => ({ kind: 'sample', ...sample })),
+		...timeline.events.map(({ type, rttMs, ...event }) => ({ kind: type, rttSampleMs: rttMs, ...event }))
+	].sort((a, b) => a.t - b.t)
+	const lines = [columns.join(',')]
+	for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(','))
+	return lines.join('\n') + '\n'
+}
+
+function csvCell(value) {
+	if (value === undefined || value === null) return ''
+	const text = String(value)
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// The parts of an RTCPeerConnection's getStats() worth keeping for a sample: the ICE candidate
+// pair in use, the SCTP association and the DataChannel. Chrome points at the pair in use from
+// its `transport` stats, Firefox marks it `selected`
+export async function connectionDetails(pc) {
+	const byId = new Map()
+	;(await pc.getStats()).forEach((stat) => byId.set(stat.id, stat))
+	const stats = [...byId.values()]
+	const transport = stats.find((stat) => stat.type === 'transport' && stat.selectedCandidatePairId)
+	const pair = (transport && byId.get(transport.selectedCandidatePairId)) ||
+		stats.find((stat) => stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded')))
+	const local = pair && byId.get(pair.localCandidateId)
+	const remote = pair && byId.get(pair.remoteCandidateId)
+	const channel = stats.find((stat) => stat.type === 'data-channel')
+	const describe = (candidate) => candidate && [candidate.candidateType, candidate.protocol, candidate.relayProtocol].filter(Boolean).join('/')
+	return {
+		pairState: pair?.state,
+		iceRttMs: pair?.currentRoundTripTime !== undefined ? Math.round(pair.currentRoundTripTime * 1000) : undefined,
+		availableOutgoingBitrate: pair?.availableOutgoingBitrate,
+		localCandidate: describe(local),
+		remoteCandidate: describe(remote),
+		sctpState: pc.sctp?.state,
+		maxMessageSize: pc.sctp?.maxMessageSize,
+		channelBytesSent: channel?.bytesSent,
+		channelBytesReceived: channel?.bytesReceived
+	}
+}
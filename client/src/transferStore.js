@@ -0,0 +1,163 @@
+// Persistent storage for incoming files, so a half-received file survives a dropped
+// connection or a page reload. Everything lives in IndexedDB:
+//   transfers: one record per file (name, size, which chunks we have as a bitmap)
+//   chunks:    the raw bytes of every chunk, keyed by [fileId, index]
+//   settings:  small things to remember between visits, like the folder we save into
+//   chat:      each room's conversation - messages and file cards - so it survives a reload
+
+const DB_NAME = 'webrtc-reliability'
+const DB_VERSION = 3
+
+let dbPromise = null
+
+function openDb() {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve, reject) => {
+			const req = indexedDB.open(DB_NAME, DB_VERSION)
+			req.onupgradeneeded = (event) => {
+				const db = req.result
+				if (event.oldVersion < 1) {
+					db.createObjectStore('transfers', { keyPath: 'fileId' })
+					db.createObjectStore('chunks', { keyPath: ['fileId', 'index'] })
+				}
+				if (event.oldVersion < 2) {
+					db.createObjectStore('settings')
+				}
+				if (event.oldVersion < 3) {
+					db.createObjectStore('chat', { keyPath: 'id' }).createIndex('room', ['roomId', 'at'])
+				}
+			}
+			req.onsuccess = () => resolve(req.result)
+			req.onerror = () => reject(req.error)
+		})
+	}
+	return dbPromise
+}
+
+// Wrap an IndexedDB request (or a whole transaction) in a promise
+function done(req) {
+	return new Promise((resolve, reject) => {
+		if (req instanceof IDBTransaction) {
+			req.oncomplete = () => resolve()
+			req.onerror = () => reject(req.error)
+			req.onabort = () => reject(req.error)
+		} else {
+			req.onsuccess = () => resolve(req.result)
+			req.onerror = () => reject(req.error)
+		}
+	})
+}
+
+// All chunk keys of one file, from index 0 up to the largest possible index
+function chunkRange(fileId) {
+	return IDBKeyRange.bound([fileId, 0], [fileId, Number.MAX_SAFE_INTEGER])
+}
+
+export async function loadTransfer(fileId) {
+	const db = await openDb()
+	return done(db.transaction('transfers').objectStore('transfers').get(fileId))
+}
+
+export async function listTransfers() {
+	const db = await openDb()
+	return done(db.transaction('transfers').objectStore('transfers').getAll())
+}
+
+export async function saveTransfer(record) {
+	const db = await openDb()
+	const tx = db.transaction('transfers', 'readwrite')
+	tx.objectStore('transfers').put(record)
+	return done(tx)
+}
+
+// Store one chunk and the updated transfer record together, so the bitmap never
+// claims a chunk we didn't actually manage to write
+export async function saveChunk(record, index, data) {
+	const db = await openDb()
+	const tx = db.transaction(['transfers', 'chunks'], 'readwrite')
+	tx.objectStore('chunks').put({ fileId: record.fileId, index, data })
+	tx.objectStore('transfers').put(record)
+	return done(tx)
+}
+
+// Every stored chunk of a file, in index order
+export async function loadChunks(fileId) {
+	const db = await openDb()
+	const rows = await done(db.transaction('chunks').objectStore('chunks').getAll(chunkRange(fileId)))
+	return rows.map((row) => row.data)
+}
+
+export async function deleteTransfer(fileId) {
+	const db = await openDb()
+	const tx = db.transaction(['transfers', 'chunks'], 'readwrite')
+	tx.objectStore('transfers').delete(fileId)
+	tx.objectStore('chunks').delete(chunkRange(fileId))
+	return done(tx)
+}
+
+export async function loadSetting(key) {
+	const db = await openDb()
+	return done(db.transaction('settings').objectStore('settings').get(key))
+}
+
+export async function saveSetting(key, value) {
+	const db = await openDb()
+	const tx = db.transaction('settings', 'readwrite')
+	tx.objectStore('settings').put(value, key)
+	return done(tx)
+}
+
+// All chat entries of one room, oldest first
+function roomRange(roomId) {
+	return IDBKeyRange.bound([roomId, 0], [roomId, Number.MAX_SAFE_INTEGER])
+}
+
+export async function listChat(roomId) {
+	const db = await openDb()
+	return done(db.transaction('chat').objectStore('chat').index('room').getAll(roomRange(roomId)))
+}
+
+export async function saveChatEntry(entry) {
+	const db = await openDb()
+	const tx = db.transaction('chat', 'readwrite')
+	tx.objectStore('chat').put(entry)
+	return done(tx)
+}
+
+export async function clearChat(roomId) {
+	const db = await openDb()
+	const tx = db.transaction('chat', 'readwrite')
+	const store = tx.objectStore('chat')
+	const keys = await done(store.index('room').getAllKeys(roomRange(roomId)))
+	for (const key of keys) store.delete(key)
+	return done(tx)
+}
+
+// Which chunks we have is kept as a bitmap: one bit per chunk
+export function createBitmap(totalChunks) {
+	return new Uint8Array(Math.ceil(totalChunks / 8))
+}
+
+export function hasChunk(bitmap, index) {
+	return (bitmap[index >> 3] & (1 << (index & 7))) !== 0
+}
+
+export function markChunk(bitmap, index) {
+	bitmap[index >> 3] |= 1 << (index & 7)
+}
+
+// The chunks we still need, as [start, end) ranges - much smaller than a list of indices
+export function missingRanges(bitmap, totalChunks) {
+	const ranges = []
+	let start = -1
+	for (let i = 0; i < totalChunks; i++) {
+		const missing = !hasChunk(bitmap, i)
+		if (missing && start < 0) start = i
+		if (!missing && start >= 0) {
+			ranges.push([start, i])
+			start = -1
+		}
+	}
+	if (start >= 0) ranges.push([start, totalChunks])
+	return ranges
+}
@@ -0,0 +1,91 @@
+// A tiny ZIP writer for received folders. Files are stored as-is (no compression): that
+// keeps it small and fast, and most things people send (photos, videos, archives) don't
+// compress anyway. There's no ZIP64 support, so the archive has to stay under 4GB
+
+const textEncoder = new TextEncoder()
+
+// The standard CRC-32 lookup table (polynomial 0xEDB88320), built once
+const CRC_TABLE = (() => {
+	const table = new Uint32Array(256)
+	for (let n = 0; n < 256; n++) {
+		let c = n
+		for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+		table[n] = c >>> 0
+	}
+	return table
+})()
+
+// CRC-32 of a Blob, read piece by piece so big files never sit in memory twice
+async function crc32(blob) {
+	let crc = 0xffffffff
+	const reader = blob.stream().getReader()
+	for (;;) {
+		const { done, value } = await reader.read()
+		if (done) break
+		for (let i = 0; i < value.length; i++) crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8)
+	}
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+// ZIP stores timestamps in the old MS-DOS format: 2-second resolution, years from 1980
+function dosDateTime(ms) {
+	const d = new Date(ms)
+	const year = Math.max(d.getFullYear(), 1980)
+	return {
+		time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+		date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+	}
+}
+
+// Build a ZIP archive from [{ path, blob, lastModified }]. Paths use forward slashes
+export async function createZip(entries) {
+	const parts = []
+	const central = []
+	let offset = 0
+	for (const entry of entries) {
+		const name = textEncoder.encode(entry.path)
+		const crc = await crc32(entry.blob)
+		const size = entry.blob.size
+		const { time, date } = dosDateTime(entry.lastModified || Date.now())
+
+		const local = new DataView(new ArrayBuffer(30))
+		local.setUint32(0, 0x04034b50, true)   // Local file header signature
+		local.setUint16(4, 20, true)           // Version needed to extract (2.0)
+		local.setUint16(6, 0x0800, true)       // Flags: file name is UTF-8
+		local.setUint16(8, 0, true)            // Method: stored
+		local.setUint16(10, time, true)
+		local.setUint16(12, date, true)
+		local.setUint32(14, crc, true)
+		local.setUint32(18, size, true)        // Compressed size
+		local.setUint32(22, size, true)        // Uncompressed size
+		local.setUint16(26, name.length, true)
+		local.setUint16(28, 0, true)           // Extra field length
+		parts.push(local.buffer, name, entry.blob)
+
+		const header = new DataView(new ArrayBuffer(46))
+		header.setUint32(0, 0x02014b50, true)  // Central directory header signature
+		header.setUint16(4, 20, true)          // Version made by
+		header.setUint16(6, 20, true)          // Version needed to extract
+		header.setUint16(8, 0x0800, true)
+		header.setUint16(10, 0, true)
+		header.setUint16(12, time, true)
+		header.setUint16(14, date, true)
+		header.setUint32(16, crc, true)
+		header.setUint32(20, size, true)
+		header.setUint32(24, size, true)
+		header.setUint16(28, name.length, true)
+		header.setUint32(42, offset, true)     // Where this file's local header starts
+		central.push(header.buffer, name)
+
+		offset += 30 + name.length + size
+	}
+
+	const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+	const end = new DataView(new ArrayBuffer(22))
+	end.setUint32(0, 0x06054b50, true)        // End of central directory signature
+	end.setUint16(8, entries.length, true)    // Entries on this disk
+	end.setUint16(10, entries.length, true)   // Entries in total
+	end.setUint32(12, centralSize, true)
+	end.setUint32(16, offset, true)           // Where the central directory starts
+	return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' })
+}
@@ -0,0 +1,327 @@
+// The reliability layer against simulated links - plain Node, no browser: npm test
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { DIGEST_SIZE, PROTOCOL_VERSION, ReliabilityLayer, decodeFrame, encodeFrame, seqAdd, seqLessThan } from '../src/reliability.js'
+import { IMPAIRMENT_PROFILES, createImpairedChannel, createSimulatedLink, createVirtualClock } from '../src/simulator.js'
+
+const CHUNK_SIZE = 1024
+
+// Send `count` messages from a to b over a link with this profile: a mix of file chunks and
+// JSON control messages, the way the app sends them. Returns what arrived, in arrival order,
+// plus how long it took on the virtual clock and both sides' final stats
+async function transfer(profile, { count = 300, windowSize = 16, congestionControl = true, ordered = true, seed = 1, maxRetries = 8 } = {}) {
+	const clock = createVirtualClock()
+	const link = createSimulatedLink(profile, { clock, seed })
+	const delivered = []
+	const stats = {}
+	const sender = ReliabilityLayer(() => {}, (s) => { stats.sender = s }, { windowSize, congestionControl, clock, maxRetries })
+	const receiver = ReliabilityLayer((payload) => delivered.push(payload), (s) => { stats.receiver = s }, { windowSize, ordered, clock })
+	link.a.onmessage = (ev) => sender.handleIncoming(link.a, ev.data)
+	link.b.onmessage = (ev) => receiver.handleIncoming(link.b, ev.data)
+
+	let done = false
+	let failure = null
+	const run = (async () => {
+		const confirmations = []
+		for (let i = 0; i < count; i++) {
+			await sender.whenReady()
+			const payload = i % 10 === 0
+				? { kind: 'text', text: `message ${i}` }
+				: { kind: 'file-chunk', transferId: 7, index: i, digest: new Uint8Array(DIGEST_SIZE).fill(i & 255), data: chunkBytes(i) }
+			confirmations.push(sender.send(link.a, payload))
+		}
+		await Promise.all(confirmations)
+	})().catch((err) => { failure = err }).finally(() => { done = true })
+
+	const elapsedMs = await clock.run(() => done)
+	await run
+	return { delivered, elapsedMs, stats, failure, link, bytes: count * CHUNK_SIZE }
+}
+
+function chunkBytes(i) {
+	return new Uint8Array(CHUNK_SIZE).fill(i & 255)
+}
+
+// Everything arrived exactly once with its bytes intact, and in order if we asked for that
+function assertDelivered({ delivered, failure }, count, ordered = true) {
+	assert.equal(failure, null)
+	const indices = delivered.map((payload) => (payload.kind === 'text' ? Number(payload.text.split(' ')[1]) : payload.index))
+	assert.equal(delivered.length, count, 'every message exactly once')
+	assert.equal(new Set(indices).size, count, 'no duplicates')
+	if (ordered) assert.deepEqual(indices, [...Array(count).keys()], 'in order')
+	for (const payload of delivered) {
+		if (payload.kind !== 'file-chunk') continue
+		assert.deepEqual(new Uint8Array(payload.data), chunkBytes(payload.index))
+		assert.equal(payload.digest[0], payload.index & 255)
+	}
+}
+
+function throughput({ bytes, elapsedMs }) {
+	return `${((bytes / 1024) / (elapsedMs / 1000)).toFixed(1)} KB/s`
+}
+
+describe('sequence numbers', () => {
+	it('wrap around at 2^32 and still compare correctly', () => {
+		assert.equal(seqAdd(0xffffffff, 1), 0)
+		assert.equal(seqAdd(0xfffffffe, 5), 3)
+		assert.ok(seqLessThan(0xffffffff, 0))
+		assert.ok(seqLessThan(0xfffffff0, 0x10))
+		assert.ok(!seqLessThan(0x10, 0xfffffff0))
+		assert.ok(!seqLessThan(5, 5))
+	})
+})
+
+describe('wire format', () => {
+	it('round-trips a frame header and body', () => {
+		const body = new Uint8Array([1, 2, 3])
+		const frame = decodeFrame(encodeFrame({ type: 1, flags: 2, epoch: 0xdeadbeef, seq: 0xfffffffe, transferId: 42, chunkIndex: 7, body }))
+		assert.equal(frame.version, PROTOCOL_VERSION)
+		assert.equal(frame.epoch, 0xdeadbeef)
+		assert.equal(frame.seq, 0xfffffffe)
+		assert.equal(frame.transferId, 42)
+		assert.equal(frame.chunkIndex, 7)
+		assert.deepEqual([...frame.body], [1, 2, 3])
+	})
+
+	it('rejects garbage and reports a foreign version', () => {
+		assert.equal(decodeFrame(new ArrayBuffer(0)), null)
+		assert.equal(decodeFrame(new Uint8Array([PROTOCOL_VERSION, 1, 0]).buffer), null)
+		assert.equal(decodeFrame('text'), null)
+		const frame = new Uint8Array(encodeFrame({ type: 1, epoch: 1, seq: 1, body: new Uint8Array(0) }))
+		frame[0] = 99
+		assert.deepEqual(decodeFrame(frame.buffer), { version: 99 })
+	})
+})
+
+describe('delivery under impairments', () => {
+	for (const [name, profile] of Object.entries(IMPAIRMENT_PROFILES)) {
+		it(`delivers everything intact and in order over a ${name} link`, async (t) => {
+			const result = await transfer(profile, { seed: 7 })
+			assertDelivered(result, 300)
+			const { sender, receiver } = result.stats
+			t.diagnostic(`${name}: ${throughput(result)} goodput, ${sender.retransmits} retransmits, ${receiver.duplicates} duplicates, ${receiver.outOfOrder} out of order, ${result.elapsedMs.toFixed(0)}ms`)
+		})
+	}
+
+	it('delivers everything exactly once in unordered mode', async () => {
+		const result = await transfer(IMPAIRMENT_PROFILES.terrible, { ordered: false, seed: 3 })
+		assertDelivered(result, 300, false)
+	})
+
+	it('works as stop-and-wait with a window of 1', async () => {
+		const result = await transfer(IMPAIRMENT_PROFILES.lossy, { windowSize: 1, count: 50 })
+		assertDelivered(result, 50)
+		assert.equal(result.stats.sender.windowSize, 1)
+	})
+
+	it('gets the same result from the same seed', async () => {
+		const first = await transfer(IMPAIRMENT_PROFILES.terrible, { seed: 11, count: 100 })
+		const second = await transfer(IMPAIRMENT_PROFILES.terrible, { seed: 11, count: 100 })
+		assert.equal(first.elapsedMs, second.elapsedMs)
+		assert.equal(first.stats.sender.retransmits, second.stats.sender.retransmits)
+	})
+})
+
+describe('congestion and flow control', () => {
+	it('opens the window fully on a clean link', async () => {
+		const result = await transfer(IMPAIRMENT_PROFILES.clean, { windowSize: 32 })
+		assert.equal(result.stats.sender.cwnd, 32)
+	})
+
+	it('shrinks the window on a lossy link', async () => {
+		const result = await transfer(IMPAIRMENT_PROFILES.veryLossy, { windowSize: 32 })
+		assert.ok(result.stats.sender.cwnd < 32, `cwnd ${result.stats.sender.cwnd}`)
+	})
+
+	it('is faster with a bigger window', async () => {
+		const small = await transfer(IMPAIRMENT_PROFILES.clean, { windowSize: 1, count: 100 })
+		const big = await transfer(IMPAIRMENT_PROFILES.clean, { windowSize: 16, count: 100 })
+		assert.ok(big.elapsedMs * 4 < small.elapsedMs, `${big.elapsedMs}ms vs ${small.elapsedMs}ms`)
+	})
+
+	// Without congestion control nothing but the send buffer holds the sender back
+	it('stops filling a slow link once its send buffer is full', async () => {
+		const profile = { delayMs: 10, bandwidthBytesPerSec: 64 * 1024 }
+		const result = await transfer(profile, { windowSize: 2048, congestionControl: false, count: 1500 })
+		assertDelivered(result, 1500)
+		assert.ok(result.stats.sender.stalls > 0, 'waited for the buffer at least once')
+	})
+})
+
+describe('failures and outages', () => {
+	it('gives up after maxRetries when nothing gets through', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink({ loss: 1 }, { clock })
+		let failedWith = null
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 4, clock, maxRetries: 3, onFailure: (err) => { failedWith = err } })
+		link.a.onmessage = (ev) => sender.handleIncoming(link.a, ev.data)
+		const sends = [1, 2, 3].map((n) => sender.send(link.a, { kind: 'text', text: String(n) }).then(() => 'ok', (err) => err.message))
+		await clock.run(() => failedWith !== null)
+		assert.match(failedWith.message, /no ACK after 3 retries/)
+		for (const outcome of await Promise.all(sends)) assert.match(outcome, /Peer unreachable/)
+		assert.equal(link.a.sent, 4 * 3)  // Every message: the first try and 3 resends
+	})
+
+	// The receiver ACKs (and the sender confirms) what arrives after a gap. If the gap never
+	// fills and the sender starts a new epoch, those confirmed messages must still reach the app
+	it('delivers what it confirmed behind a gap that was given up on', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink(IMPAIRMENT_PROFILES.clean, { clock })
+		let firstEpoch = null
+		const holed = {
+			get readyState() { return link.a.readyState },
+			send(frame) {
+				const { epoch, seq } = decodeFrame(frame)
+				firstEpoch ??= epoch
+				if (epoch !== firstEpoch || seq !== 0) link.a.send(frame)
+			}
+		}
+		const delivered = []
+		let failed = false
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 8, clock, maxRetries: 3, onFailure: () => { failed = true } })
+		const receiver = ReliabilityLayer((payload) => delivered.push(payload.text), () => {}, { clock })
+		link.a.onmessage = (ev) => sender.handleIncoming(link.a, ev.data)
+		link.b.onmessage = (ev) => receiver.handleIncoming(link.b, ev.data)
+
+		const outcomes = ['m0', 'm1', 'm2', 'm3'].map((text) => sender.send(holed, { kind: 'text', text }).then(() => 'ok', () => 'failed'))
+		await clock.run(() => failed)
+		let done = false
+		sender.send(holed, { kind: 'text', text: 'm4' }).finally(() => { done = true })
+		await clock.run(() => done)
+		assert.deepEqual(await Promise.all(outcomes), ['failed', 'ok', 'ok', 'ok'])
+		assert.deepEqual(delivered, ['m1', 'm2', 'm3', 'm4'])
+	})
+
+	it('counts frames the channel refuses and resends them', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink(IMPAIRMENT_PROFILES.clean, { clock })
+		let refusals = 2
+		const overflowing = {
+			get readyState() { return link.a.readyState },
+			send(frame) {
+				if (refusals-- > 0) throw new Error('send queue is full')
+				link.a.send(frame)
+			}
+		}
+		const errors = []
+		let stats = null
+		const sender = ReliabilityLayer(() => {}, (s) => { stats = s }, { clock, onSendError: (err) => errors.push(err.message) })
+		const receiver = ReliabilityLayer(() => {}, () => {}, { clock })
+		link.a.onmessage = (ev) => sender.handleIncoming(link.a, ev.data)
+		link.b.onmessage = (ev) => receiver.handleIncoming(link.b, ev.data)
+		let done = false
+		sender.send(overflowing, { kind: 'text', text: 'hi' }).finally(() => { done = true })
+		await clock.run(() => done)
+		assert.equal(stats.sendErrors, 2)
+		assert.deepEqual(errors, ['send queue is full', 'send queue is full'])
+	})
+
+	it('carries a transfer through a suspended outage that would otherwise use up every retry', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink(IMPAIRMENT_PROFILES.clean, { clock })
+		const delivered = []
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 8, clock, maxRetries: 2 })
+		const receiver = ReliabilityLayer((payload) => delivered.push(payload), () => {}, { clock })
+		link.a.onmessage = (ev) => sender.handleIncoming(link.a, ev.data)
+		link.b.onmessage = (ev) => receiver.handleIncoming(link.b, ev.data)
+
+		let done = false
+		let failure = null
+		const sends = []
+		for (let i = 0; i < 50; i++) sends.push(sender.send(link.a, { kind: 'text', text: String(i) }))
+		Promise.all(sends).catch((err) => { failure = err }).finally(() => { done = true })
+
+		clock.setTimeout(() => {
+			link.setProfile({ loss: 1 })
+			sender.suspend()
+		}, 15)
+		clock.setTimeout(() => {
+			link.setProfile(IMPAIRMENT_PROFILES.clean)
+			sender.resume()
+		}, 5 * 60 * 1000)
+		await clock.run(() => done)
+		assert.equal(failure, null)
+		assert.deepEqual(delivered.map((payload) => payload.text), sends.map((_, i) => String(i)))
+	})
+
+	it('fails everything in flight, queued or waiting when closed while suspended', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink({ loss: 1 }, { clock })
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 2, clock })
+		const sends = [1, 2, 3].map((n) => sender.send(link.a, { kind: 'text', text: String(n) }).then(() => 'ok', (err) => err.message))
+		sender.suspend()
+		const ready = sender.whenReady().then(() => 'ready')
+		sender.close(new Error('Connection to peer failed'))
+		assert.deepEqual(await Promise.all(sends), Array(3).fill('Connection to peer failed'))
+		assert.equal(await ready, 'ready')
+		await assert.rejects(sender.send(link.a, { kind: 'text', text: 'late' }), /Connection to peer failed/)
+	})
+
+	it('moves in-flight messages to another channel', async () => {
+		const clock = createVirtualClock()
+		const broken = createSimulatedLink({ loss: 1 }, { clock })
+		const working = createSimulatedLink(IMPAIRMENT_PROFILES.lossy, { clock, seed: 5 })
+		const delivered = []
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 8, clock })
+		const receiver = ReliabilityLayer((payload) => delivered.push(payload), () => {}, { clock })
+		working.a.onmessage = (ev) => sender.handleIncoming(working.a, ev.data)
+		working.b.onmessage = (ev) => receiver.handleIncoming(working.b, ev.data)
+
+		let done = false
+		const sends = []
+		for (let i = 0; i < 20; i++) sends.push(sender.send(broken.a, { kind: 'text', text: String(i) }))
+		Promise.all(sends).finally(() => { done = true })
+		clock.setTimeout(() => {
+			sender.suspend()
+			sender.retarget(working.a)
+			sender.resume()
+		}, 100)
+		await clock.run(() => done)
+		assert.deepEqual(delivered.map((payload) => payload.text), sends.map((_, i) => String(i)))
+	})
+})
+
+describe('impairing a channel from outside', () => {
+	it('delivers everything through a wrapped channel and reports what it did to the frames', async () => {
+		const clock = createVirtualClock()
+		const link = createSimulatedLink(IMPAIRMENT_PROFILES.clean, { clock })
+		const events = { outgoing: {}, incoming: {} }
+		const onEvent = (direction, type) => { events[direction][type] = (events[direction][type] || 0) + 1 }
+		const a = createImpairedChannel(link.a, { clock, onEvent })
+		const b = createImpairedChannel(link.b, { clock, onEvent })
+		const profiles = { outgoing: IMPAIRMENT_PROFILES.terrible, incoming: IMPAIRMENT_PROFILES.lossy }
+		a.setProfiles(profiles)
+		b.setProfiles(profiles)
+
+		const delivered = []
+		const sender = ReliabilityLayer(() => {}, () => {}, { windowSize: 8, clock })
+		const receiver = ReliabilityLayer((payload) => delivered.push(payload), () => {}, { clock })
+		link.a.onmessage = (ev) => a.receive(ev.data)
+		link.b.onmessage = (ev) => b.receive(ev.data)
+		a.onmessage = (ev) => sender.handleIncoming(a, ev.data)
+		b.onmessage = (ev) => receiver.handleIncoming(b, ev.data)
+
+		let done = false
+		const sends = []
+		for (let i = 0; i < 100; i++) sends.push(sender.send(a, { kind: 'text', text: String(i) }))
+		Promise.all(sends).finally(() => { done = true })
+		await clock.run(() => done)
+		assert.deepEqual(delivered.map((payload) => payload.text), sends.map((_, i) => String(i)))
+		assert.ok(events.outgoing.drop > 0 && events.outgoing.duplicate > 0 && events.outgoing.reorder > 0)
+		assert.ok(events.incoming.drop > 0)
+		assert.equal(events.incoming.duplicate, undefined)
+	})
+
+	it('lets frames straight through without a profile', () => {
+		const sent = []
+		const chan = { readyState: 'open', send: (frame) => sent.push(frame) }
+		const impaired = createImpairedChannel(chan, { clock: createVirtualClock() })
+		impaired.setProfiles({ outgoing: null, incoming: null })
+		const received = []
+		impaired.onmessage = (ev) => received.push(ev.data)
+		impaired.send('frame')
+		impaired.receive('reply')
+		assert.deepEqual(sent, ['frame'])
+		assert.deepEqual(received, ['reply'])
+	})
+})
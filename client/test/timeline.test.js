@@ -0,0 +1,82 @@
+// Transfer timelines and their exports: npm test
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SAMPLE_FIELDS, addEvent, addSample, connectionDetails, createTimeline, endTimeline, timelineToCSV, timelineToJSON } from '../src/timeline.js'
+
+function recordedTimeline() {
+	const timeline = createTimeline({ direction: 'outgoing', fileId: 'f1', path: 'cat, "the" photo.jpg', peerId: 'ab12cd34', settings: { windowSize: 16 } })
+	timeline.info.startedAt -= 2000
+	addSample(timeline, { doneChunks: 4, totalChunks: 10, rttMs: 12, transport: 'direct' })
+	addEvent(timeline, { at: timeline.info.startedAt + 500, type: 'rtt', seq: 3, rttMs: 11 })
+	addEvent(timeline, { at: timeline.info.startedAt + 700, type: 'retransmit', seq: 5, retries: 1 })
+	endTimeline(timeline, 'verified')
+	return timeline
+}
+
+describe('timeline exports', () => {
+	it('writes JSON that reads back the same', () => {
+		const timeline = recordedTimeline()
+		const parsed = JSON.parse(timelineToJSON(timeline))
+		assert.deepEqual(parsed, timeline)
+		assert.equal(parsed.info.outcome, 'verified')
+		assert.ok(parsed.info.endedAt >= parsed.info.startedAt)
+	})
+
+	it('writes samples and events into one CSV table, in time order', () => {
+		const lines = timelineToCSV(recordedTimeline()).trimEnd().split('\n')
+		const header = lines[0].split(',')
+		assert.deepEqual(header, ['t', 'kind', 'seq', 'retries', 'rttSampleMs', ...SAMPLE_FIELDS])
+		const rows = lines.slice(1).map((line) => Object.fromEntries(line.split(',').map((cell, i) => [header[i], cell])))
+		assert.deepEqual(rows.map((row) => row.kind), ['rtt', 'retransmit', 'sample'])
+		assert.equal(rows[0].t, '500')
+		assert.equal(rows[0].rttSampleMs, '11')
+		assert.equal(rows[1].retries, '1')
+		assert.equal(rows[2].doneChunks, '4')
+		assert.equal(rows[2].transport, 'direct')
+		assert.equal(rows[2].cwnd, '')
+	})
+
+	it('quotes cells with commas, quotes or newlines', () => {
+		const timeline = createTimeline({})
+		addSample(timeline, { transport: 'a,b', localCandidate: 'say "hi"' })
+		const csv = timelineToCSV(timeline)
+		assert.match(csv, /,"a,b",/)
+		assert.match(csv, /,"say ""hi""",/)
+	})
+})
+
+describe('connection details', () => {
+	const report = (stats) => ({ getStats: async () => new Map(stats.map((stat) => [stat.id, stat])), sctp: { state: 'connected', maxMessageSize: 262144 } })
+
+	it('follows the transport to the candidate pair in use (Chrome)', async () => {
+		const details = await connectionDetails(report([
+			{ id: 'T1', type: 'transport', selectedCandidatePairId: 'P2' },
+			{ id: 'P1', type: 'candidate-pair', state: 'failed', localCandidateId: 'L1', remoteCandidateId: 'R1' },
+			{ id: 'P2', type: 'candidate-pair', state: 'succeeded', currentRoundTripTime: 0.0234, availableOutgoingBitrate: 5e6, localCandidateId: 'L2', remoteCandidateId: 'R2' },
+			{ id: 'L2', type: 'local-candidate', candidateType: 'relay', protocol: 'udp', relayProtocol: 'tls' },
+			{ id: 'R2', type: 'remote-candidate', candidateType: 'srflx', protocol: 'udp' },
+			{ id: 'D1', type: 'data-channel', bytesSent: 100, bytesReceived: 200 }
+		]))
+		assert.deepEqual(details, {
+			pairState: 'succeeded',
+			iceRttMs: 23,
+			availableOutgoingBitrate: 5e6,
+			localCandidate: 'relay/udp/tls',
+			remoteCandidate: 'srflx/udp',
+			sctpState: 'connected',
+			maxMessageSize: 262144,
+			channelBytesSent: 100,
+			channelBytesReceived: 200
+		})
+	})
+
+	it('finds the selected pair without transport stats (Firefox)', async () => {
+		const details = await connectionDetails(report([
+			{ id: 'P1', type: 'candidate-pair', state: 'succeeded', selected: true, localCandidateId: 'L1', remoteCandidateId: 'R1' },
+			{ id: 'L1', type: 'local-candidate', candidateType: 'host', protocol: 'udp' }
+		]))
+		assert.equal(details.localCandidate, 'host/udp')
+		assert.equal(details.remoteCandidate, undefined)
+		assert.equal(details.iceRttMs, undefined)
+	})
+})
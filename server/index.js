@@ -1,78 +1,44 @@
-import express from 'express';
-import http from 'http';
-import cors from 'cors';
-import { WebSocketServer } from 'ws';
+import { createSignalingServer, DEFAULTS } from './signaling.js';
 
 const PORT = process.env.PORT || 3001;
 
-const app = express();
-app.use(cors());
-app.get('/health', (req, res) => res.json({ ok: true }));
-
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: '/ws' });
-
-// We keep track of all the rooms and which WebSocket connections are in each room
-// Think of it like chat rooms - each room has a list of people connected to it
-const rooms = new Map();
-
-function getOrCreateRoom(roomId) {
-	if (!rooms.has(roomId)) {
-		rooms.set(roomId, new Set());
-	}
-	return rooms.get(roomId);
+function listFromEnv(value) {
+	return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
 }
 
-wss.on('connection', (ws) => {
-	ws._roomId = null;
-
-	ws.on('message', (raw) => {
-		let msg;
-		try {
-			msg = JSON.parse(raw.toString());
-		} catch (e) {
-			console.warn('Invalid JSON message');
-			return;
-		}
-
-		const { type } = msg || {};
-		if (type === 'join') {
-			const { roomId } = msg;
-			if (!roomId) return;
-			const room = getOrCreateRoom(roomId);
-			room.add(ws);
-			ws._roomId = roomId;
-			ws.send(JSON.stringify({ type: 'joined', roomId }));
-			console.log(`Client joined room ${roomId} (size=${room.size})`);
-			return;
-		}
-
-		// When someone sends an offer, answer, or ICE candidate, we pass it along to everyone else in the same room
-		// This is how WebRTC peers find each other and establish a direct connection
-		if (['offer', 'answer', 'candidate'].includes(type)) {
-			const { roomId } = msg;
-			if (!roomId) return;
-			const room = rooms.get(roomId);
-			if (!room) return;
-			for (const client of room) {
-				if (client !== ws && client.readyState === 1) {
-					client.send(JSON.stringify(msg));
-				}
-			}
-		}
-	});
+function numberFromEnv(value, fallback) {
+	return Number(value) || fallback;
+}
 
-	ws.on('close', () => {
-		const roomId = ws._roomId;
-		if (!roomId) return;
-		const room = rooms.get(roomId);
-		if (!room) return;
-		room.delete(ws);
-		if (room.size === 0) {
-			rooms.delete(roomId);
-		}
-		console.log(`Client left room ${roomId} (size=${room.size || 0})`);
-	});
+// Invite tokens are signed with this secret. Set it in production - a random one means every
+// invite stops working when the server restarts
+if (!process.env.ROOM_TOKEN_SECRET) console.warn('ROOM_TOKEN_SECRET not set - invite links will not survive a restart');
+
+// ICE servers handed to the browsers (comma-separated lists). Set STUN_URLS to nothing for a lab
+// without internet. TURN_SECRET is the shared secret of the TURN server (coturn's
+// `static-auth-secret`) - with it we hand out short-lived TURN credentials instead of a fixed password
+const turnUrls = listFromEnv(process.env.TURN_URLS);
+if (turnUrls.length && !process.env.TURN_SECRET) console.warn('TURN_URLS is set but TURN_SECRET is not - not handing out TURN servers');
+
+const { server } = createSignalingServer({
+	tokenSecret: process.env.ROOM_TOKEN_SECRET,
+	stunUrls: process.env.STUN_URLS === undefined ? DEFAULTS.stunUrls : listFromEnv(process.env.STUN_URLS),
+	turnUrls,
+	turnSecret: process.env.TURN_SECRET || '',
+	turnTtlS: numberFromEnv(process.env.TURN_TTL_S, DEFAULTS.turnTtlS),
+	// Relaying frames for peers that can't connect directly. Set RELAY=off to turn it off
+	relayEnabled: process.env.RELAY !== 'off',
+	relayMaxFrameBytes: numberFromEnv(process.env.RELAY_MAX_FRAME_BYTES, DEFAULTS.relayMaxFrameBytes),
+	relayRateBytesPerSec: numberFromEnv(process.env.RELAY_RATE_BYTES_PER_S, DEFAULTS.relayRateBytesPerSec),
+	maxMessageBytes: numberFromEnv(process.env.MAX_MESSAGE_BYTES, DEFAULTS.maxMessageBytes),
+	messageRatePerSec: numberFromEnv(process.env.MESSAGE_RATE_PER_S, DEFAULTS.messageRatePerSec),
+	messageBurst: numberFromEnv(process.env.MESSAGE_BURST, DEFAULTS.messageBurst),
+	// Joins and invite requests per IP address - they're what password guessing looks like
+	authRatePerSec: numberFromEnv(process.env.AUTH_RATE_PER_S, DEFAULTS.authRatePerSec),
+	authBurst: numberFromEnv(process.env.AUTH_BURST, DEFAULTS.authBurst),
+	heartbeatIntervalMs: numberFromEnv(process.env.HEARTBEAT_INTERVAL_MS, DEFAULTS.heartbeatIntervalMs),
+	// Prometheus metrics at /metrics. With METRICS_TOKEN set, scrapers must send it as a bearer token
+	metricsToken: process.env.METRICS_TOKEN || ''
 });
 
 server.listen(PORT, () => {
@@ -0,0 +1,61 @@
+// A tiny Prometheus registry: counters and gauges with labels, rendered in the text exposition
+// format (https://prometheus.io/docs/instrumenting/exposition_formats/). That's all /metrics
+// needs, so there's no client library to pull in
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Label values may hold anything; backslashes, quotes and newlines have to be escaped
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+	const pairs = Object.entries(labels);
+	if (!pairs.length) return '';
+	return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+export function createRegistry() {
+	const metrics = [];
+
+	// A number that only goes up. inc({ label: value }, by) - every label combination gets its own series
+	function counter(name, help) {
+		const series = new Map(); // formatted labels -> value
+		metrics.push({
+			name,
+			help,
+			type: 'counter',
+			collect: () => (series.size ? [...series] : [['', 0]])
+		});
+		return {
+			inc(labels = {}, by = 1) {
+				const key = formatLabels(labels);
+				series.set(key, (series.get(key) || 0) + by);
+			}
+		};
+	}
+
+	// A number that is looked up when scraped: collect() returns it, or [[labels, value], …]
+	function gauge(name, help, collect) {
+		metrics.push({
+			name,
+			help,
+			type: 'gauge',
+			collect: () => {
+				const value = collect();
+				return Array.isArray(value) ? value.map(([labels, n]) => [formatLabels(labels), n]) : [['', value]];
+			}
+		});
+	}
+
+	function render() {
+		const lines = [];
+		for (const { name, help, type, collect } of metrics) {
+			lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+			for (const [labels, value] of collect()) lines.push(`${name}${labels} ${value}`);
+		}
+		return lines.join('\n') + '\n';
+	}
+
+	return { counter, gauge, render };
+}
@@ -0,0 +1,517 @@
+import express from 'express';
+import http from 'http';
+import cors from 'cors';
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { WebSocketServer } from 'ws';
+import { createRegistry, METRICS_CONTENT_TYPE } from './metrics.js';
+
+// Everything the server can be tuned with, and what it does when left alone.
+// index.js fills these in from the environment; the tests pick their own
+export const DEFAULTS = {
+	tokenSecret: null,                    // Signs invite tokens - random if not set
+	inviteTtlS: 60 * 60,                  // An invite is good for an hour unless asked otherwise
+	maxInviteTtlS: 7 * 24 * 60 * 60,      // ...and never for more than a week
+	rejoinTtlS: 24 * 60 * 60,             // How long a member can come back after losing its connection
+	stunUrls: ['stun:stun.l.google.com:19302'],
+	turnUrls: [],
+	turnSecret: '',
+	turnTtlS: 60 * 60,
+	relayEnabled: true,
+	relayMaxFrameBytes: 64 * 1024,
+	relayRateBytesPerSec: 1024 * 1024,
+	maxMessageBytes: 128 * 1024,          // Bigger WebSocket messages close the connection (1009)
+	messageRatePerSec: 200,               // Messages a socket may send per second on average...
+	messageBurst: 400,                    // ...and in one go
+	authRatePerSec: 1,                    // Joins and POST /invite calls per IP address per second on average...
+	authBurst: 10,                        // ...and in one go (each may cost a password hash)
+	heartbeatIntervalMs: 30 * 1000,       // Ping every socket this often; one that missed the last ping is gone
+	metricsToken: '',                     // If set, /metrics wants it as a bearer token
+	log: console
+};
+
+// Room names are short and free of control characters - nobody needs a megabyte of room name
+const ROOM_ID_PATTERN = /^[^\x00-\x1f\x7f]{1,64}$/;
+const PEER_ID_PATTERN = /^[0-9a-f]{8}$/;
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 2 * 1024;
+const MAX_SECRET_LENGTH = 1024;  // Passwords and invite tokens
+
+// Passwords are only kept as a salted scrypt hash. scrypt is slow on purpose (that's the point),
+// so it runs on libuv's thread pool instead of holding up every other socket
+const scryptAsync = promisify(scrypt);
+
+async function hashPassword(password) {
+	const salt = randomBytes(16);
+	return { salt, hash: await scryptAsync(String(password), salt, 32) };
+}
+
+async function checkPassword({ salt, hash }, password) {
+	return timingSafeEqual(await scryptAsync(String(password), salt, 32), hash);
+}
+
+// What every message type has to look like. Each check returns what's wrong with the
+// message, or nothing if it's fine. `roomId` is checked for all of them
+const isString = (value, max) => typeof value === 'string' && value.length <= max;
+const isOptionalString = (value, max) => value === undefined || value === null || isString(value, max);
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const SCHEMAS = {
+	join(msg) {
+		if (!isOptionalString(msg.password, MAX_SECRET_LENGTH)) return 'password must be a string';
+		if (!isOptionalString(msg.invite, MAX_SECRET_LENGTH)) return 'invite must be a string';
+		if (!isOptionalString(msg.peerId, 8)) return 'peerId must be a peer id';
+	},
+	offer: (msg) => checkDescription(msg, 'offer'),
+	answer: (msg) => checkDescription(msg, 'answer'),
+	candidate(msg) {
+		if (!PEER_ID_PATTERN.test(msg.to)) return 'to must be a peer id';
+		if (!isObject(msg.candidate) || !isString(msg.candidate.candidate, MAX_CANDIDATE_LENGTH)) return 'candidate must be an ICE candidate';
+	},
+	relay(msg) {
+		if (!PEER_ID_PATTERN.test(msg.to)) return 'to must be a peer id';
+		if (typeof msg.data !== 'string') return 'data must be a base64 string';
+	},
+	'turn-credentials': () => null
+};
+
+function checkDescription(msg, type) {
+	if (!PEER_ID_PATTERN.test(msg.to)) return 'to must be a peer id';
+	if (!isObject(msg.sdp) || msg.sdp.type !== type || !isString(msg.sdp.sdp, MAX_SDP_LENGTH)) return `sdp must be an ${type} description`;
+}
+
+// The whole signaling server: HTTP endpoints plus the WebSocket on /ws. Returns the (not yet
+// listening) HTTP server, and close() to shut everything down
+export function createSignalingServer(options = {}) {
+	const config = { ...DEFAULTS, ...options };
+	const log = config.log;
+	const tokenSecret = config.tokenSecret || randomBytes(32).toString('hex');
+	const turnEnabled = config.turnUrls.length > 0 && Boolean(config.turnSecret);
+
+	const app = express();
+	app.use(cors());
+	app.get('/health', (req, res) => res.json({ ok: true }));
+
+	// The ICE servers anyone may use - STUN only. TURN credentials cost us bandwidth, so they only
+	// go to sockets that are in a room (see turnCredentials)
+	app.get('/ice-config', (req, res) => {
+		res.set('Cache-Control', 'no-store');
+		res.json({ iceServers: config.stunUrls.length ? [{ urls: config.stunUrls }] : [], ttl: 0 });
+	});
+
+	// TURN credentials follow the TURN REST API scheme: the username is the unix time they expire
+	// at and the password is base64(HMAC-SHA1(secret, username)). The TURN server checks both with
+	// the same secret, so there's nothing to store and a leaked credential stops working by itself.
+	// Returns null when there is no TURN server
+	function turnCredentials() {
+		if (!turnEnabled) return null;
+		const username = String(Math.floor(Date.now() / 1000) + config.turnTtlS);
+		const credential = createHmac('sha1', config.turnSecret).update(username).digest('base64');
+		return { iceServers: [{ urls: config.turnUrls, username, credential }], ttl: config.turnTtlS };
+	}
+
+	const server = http.createServer(app);
+	const wss = new WebSocketServer({ server, path: '/ws', maxPayload: config.maxMessageBytes });
+
+	// What the server is up to, for Prometheus to scrape from /metrics. Room names stay out of
+	// it - they can be anything, and they're nobody else's business
+	const registry = createRegistry();
+	registry.gauge('signaling_rooms', 'Rooms with at least one member', () => rooms.size);
+	registry.gauge('signaling_room_members', 'Peers in a room, all rooms together', () => [...rooms.values()].reduce((sum, room) => sum + room.peers.size, 0));
+	registry.gauge('signaling_connections', 'Open WebSocket connections', () => wss.clients.size);
+	const metrics = {
+		connections: registry.counter('signaling_connections_total', 'WebSocket connections accepted'),
+		joins: registry.counter('signaling_joins_total', 'Join attempts by result (joined, or why it was refused, rate-limited included)'),
+		messages: registry.counter('signaling_messages_total', 'Valid messages received, by type'),
+		forwarded: registry.counter('signaling_messages_forwarded_total', 'Messages passed on to another peer, by type'),
+		rejected: registry.counter('signaling_messages_rejected_total', 'Messages refused, by error code'),
+		relayBytes: registry.counter('signaling_relay_bytes_total', 'Bytes of reliability-layer frames relayed between peers'),
+		relayDropped: registry.counter('signaling_relay_dropped_total', 'Relay frames dropped, by reason'),
+		evictions: registry.counter('signaling_heartbeat_evictions_total', 'Connections dropped for not answering pings')
+	};
+
+	app.get('/metrics', (req, res) => {
+		if (config.metricsToken && req.get('Authorization') !== `Bearer ${config.metricsToken}`) {
+			res.status(401).set('WWW-Authenticate', 'Bearer').end();
+			return;
+		}
+		res.set('Content-Type', METRICS_CONTENT_TYPE);
+		res.send(registry.render());
+	});
+
+	// We keep track of all the rooms and which WebSocket connections are in each room
+	// Think of it like chat rooms - each room has a list of people connected to it, and every
+	// person gets a short peer id when they join so messages can be addressed to them.
+	// Whoever opens a room decides who else gets in: with a password, everyone needs that password
+	// (or an invite); opened with an invite, it's invite-only; otherwise anyone may join.
+	// A room forgets all that once the last person leaves
+	const rooms = new Map(); // roomId -> { peers: Map(peerId -> ws), passwordHash, inviteOnly }
+
+	function createRoom(roomId, { password, invite }, passwordHash) {
+		const room = {
+			peers: new Map(),
+			passwordHash,
+			inviteOnly: Boolean(invite) && !password
+		};
+		rooms.set(roomId, room);
+		return room;
+	}
+
+	// An invite token is `<payload>.<signature>`, both base64url: the payload says which room it
+	// opens (`r`), until when (`exp`, unix seconds) and for how many people at most (`max`, optional),
+	// the signature is an HMAC-SHA256 of the payload. Anyone can read a token, nobody can forge one.
+	// A rejoin token (`t: 'rejoin'`) is what a member gets to come back with after a drop: it only
+	// works for the peer id it was issued to (`p`), and never to mint invites
+	function signToken(payload) {
+		const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+		const signature = createHmac('sha256', tokenSecret).update(body).digest('base64url');
+		return `${body}.${signature}`;
+	}
+
+	// The token's payload if it is genuine, still valid and for this room - otherwise null
+	function verifyToken(token, roomId) {
+		if (typeof token !== 'string') return null;
+		const [body, signature] = token.split('.');
+		if (!body || !signature) return null;
+		const expected = createHmac('sha256', tokenSecret).update(body).digest();
+		const given = Buffer.from(signature, 'base64url');
+		if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+		let payload;
+		try {
+			payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+		} catch (e) {
+			return null;
+		}
+		if (payload.r !== roomId || !(payload.exp > Date.now() / 1000)) return null;
+		return payload;
+	}
+
+	// The payload of an invite (or of `peerId`'s own rejoin token) for this room, or null
+	function usableInvite(invite, roomId, peerId) {
+		const payload = verifyToken(invite, roomId);
+		if (!payload || (payload.t === 'rejoin' && payload.p !== peerId)) return null;
+		return payload;
+	}
+
+	// May someone with these credentials enter the room? Returns why not, or null if they may.
+	// A valid invite always works (it was issued to someone who was allowed in), otherwise the
+	// room's password has to match
+	async function checkAccess(room, roomId, { password, invite, peerId }) {
+		if (invite) {
+			const payload = usableInvite(invite, roomId, peerId);
+			if (payload) {
+				if (room && payload.max && room.peers.size >= payload.max) return { reason: 'full', message: `This room is full (at most ${payload.max} people)` };
+				return null;
+			}
+			if (!password) return { reason: 'bad-invite', message: 'This invite link is invalid or has expired' };
+		}
+		if (!room) return null;
+		if (room.passwordHash) {
+			if (!password) return { reason: 'password-required', message: 'This room needs a password' };
+			if (!(await checkPassword(room.passwordHash, password))) return { reason: 'wrong-password', message: 'Wrong password for this room' };
+			return null;
+		}
+		if (room.inviteOnly) return { reason: 'invite-required', message: 'This room is invite-only - ask for an invite link' };
+		return null;
+	}
+
+	// Mint an invite for a room: POST /invite { roomId, password?, invite?, ttlSeconds?, maxMembers? }
+	// For a room that is already open you need to be allowed in yourself (its password, or an invite)
+	app.post('/invite', express.json({ limit: '16kb' }), async (req, res) => {
+		if (!takeAuthBudget(req.ip)) return res.status(429).json({ error: 'Too many attempts - wait a moment and try again' });
+		const { roomId, password, invite, ttlSeconds = config.inviteTtlS, maxMembers } = req.body || {};
+		if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) return res.status(400).json({ error: 'roomId is required' });
+		const ttl = Number(ttlSeconds);
+		if (!(ttl > 0) || ttl > config.maxInviteTtlS) return res.status(400).json({ error: `ttlSeconds must be between 1 and ${config.maxInviteTtlS}` });
+		if (maxMembers !== undefined && maxMembers !== null && !(Number.isInteger(maxMembers) && maxMembers >= 2)) {
+			return res.status(400).json({ error: 'maxMembers must be a whole number of at least 2' });
+		}
+		const room = rooms.get(roomId);
+		const denied = await checkAccess(room, roomId, { password, invite });
+		if (denied) return res.status(403).json({ error: denied.message, reason: denied.reason });
+		// An invite only gets you invites no looser than itself - it can't outlast it or let more
+		// people in. Unless you could have had any invite anyway: the room is open, or you know its password
+		const parent = usableInvite(invite, roomId);
+		const inherits = parent && room && (room.inviteOnly || room.passwordHash) &&
+			!(password && room.passwordHash && (await checkPassword(room.passwordHash, password)));
+		let expiresAt = Math.floor(Date.now() / 1000 + ttl);
+		let max = maxMembers || null;
+		if (inherits) {
+			expiresAt = Math.min(expiresAt, parent.exp);
+			if (parent.max) max = Math.min(max || parent.max, parent.max);
+		}
+		const payload = { r: roomId, exp: expiresAt };
+		if (max) payload.max = max;
+		res.json({ token: signToken(payload), expiresAt: expiresAt * 1000 });
+	});
+
+	// A peer that lost its connection asks for its old id back when it rejoins, so the others
+	// still know it under the same name. It gets it as long as nobody else holds it
+	function pickPeerId(room, wanted) {
+		if (typeof wanted === 'string' && PEER_ID_PATTERN.test(wanted) && !room.peers.has(wanted)) return wanted;
+		return newPeerId(room);
+	}
+
+	function newPeerId(room) {
+		let peerId;
+		do {
+			peerId = randomBytes(4).toString('hex');
+		} while (room.peers.has(peerId));
+		return peerId;
+	}
+
+	function sendTo(ws, msg) {
+		if (ws.readyState === 1) ws.send(JSON.stringify(msg));
+	}
+
+	// Tell the sender what was wrong with its message. `code` is for programs, `message` for people
+	function sendError(ws, code, message) {
+		sendTo(ws, { type: 'error', roomId: ws._roomId, code, message });
+	}
+
+	// Refuse a message: count it, then tell the sender
+	function reject(ws, code, message) {
+		metrics.rejected.inc({ code });
+		sendError(ws, code, message);
+	}
+
+	// Tell everyone in the room except `except` about something (like someone arriving)
+	function broadcast(room, msg, except) {
+		for (const client of room.peers.values()) {
+			if (client !== except) sendTo(client, msg);
+		}
+	}
+
+	// Token buckets: `bucket` refills at `rate` per second and holds at most `burst`.
+	// Returns whether `cost` could be taken out of it
+	function takeTokens(bucket, cost, rate, burst) {
+		const now = Date.now();
+		bucket.tokens = Math.min(burst, (bucket.tokens ?? burst) + (now - (bucket.at ?? now)) / 1000 * rate);
+		bucket.at = now;
+		if (bucket.tokens < cost) return false;
+		bucket.tokens -= cost;
+		return true;
+	}
+
+	// Relaying: when two peers can't reach each other directly, they can send their
+	// reliability-layer frames through this server instead (`relay` messages). Each frame is
+	// capped in size and every socket in how fast it may relay (holding at most one second's
+	// worth) - what goes over the rate is dropped, like an overloaded router would, and the
+	// reliability layer resends it later
+	function takeRelayBudget(ws, bytes) {
+		return takeTokens(ws._relayBucket, bytes, config.relayRateBytesPerSec, config.relayRateBytesPerSec);
+	}
+
+	// Joining and minting invites may cost a password hash, and they're how passwords get guessed,
+	// so they get a much smaller budget than other messages: per IP address, since a new socket
+	// is cheap to open. Buckets that have filled up again are forgotten (see the heartbeat)
+	const authBuckets = new Map(); // ip -> token bucket
+
+	function takeAuthBudget(ip) {
+		if (!authBuckets.has(ip)) authBuckets.set(ip, {});
+		return takeTokens(authBuckets.get(ip), 1, config.authRatePerSec, config.authBurst);
+	}
+
+	function forgetFullAuthBuckets() {
+		const now = Date.now();
+		for (const [ip, bucket] of authBuckets) {
+			if (bucket.tokens + (now - bucket.at) / 1000 * config.authRatePerSec >= config.authBurst) authBuckets.delete(ip);
+		}
+	}
+
+	function leaveRoom(ws) {
+		const roomId = ws._roomId;
+		if (!roomId) return;
+		const room = rooms.get(roomId);
+		ws._roomId = null;
+		if (!room) return;
+		if (room.peers.get(ws._peerId) === ws) room.peers.delete(ws._peerId);
+		if (room.peers.size === 0) {
+			rooms.delete(roomId);
+		} else {
+			broadcast(room, { type: 'peer-left', roomId, peerId: ws._peerId });
+		}
+		log.log(`Peer ${ws._peerId} left room ${roomId} (size=${room.peers.size})`);
+	}
+
+	// Checking a password (or hashing the one a new room is opened with) takes a while. Until the
+	// join is settled the socket stays where it was - a refused join doesn't cost it its room
+	async function join(ws, msg) {
+		const { roomId } = msg;
+		const credentials = { password: msg.password, invite: msg.invite, peerId: msg.peerId };
+		const existing = rooms.get(roomId);
+		const denied = await checkAccess(existing, roomId, credentials);
+		// We may be about to open the room (it's new, or we're its only member and leave it below)
+		const passwordHash = credentials.password && (!existing || ws._roomId === roomId) ? await hashPassword(credentials.password) : null;
+		if (ws.readyState !== 1) return;  // Gone while we were hashing
+		if (rooms.get(roomId) !== existing) return join(ws, msg);  // Someone opened or closed the room meanwhile - look again
+		if (denied) {
+			metrics.joins.inc({ result: denied.reason });
+			sendTo(ws, { type: 'join-error', roomId, ...denied });
+			log.log(`Refused a join to room ${roomId}: ${denied.reason}`);
+			return;
+		}
+		leaveRoom(ws); // One room per connection - switching rooms leaves the old one
+		const room = rooms.get(roomId) || createRoom(roomId, credentials, passwordHash);
+		ws._peerId = pickPeerId(room, msg.peerId);
+		ws._roomId = roomId;
+		// Tell the newcomer who it is and who is already here, then tell everyone else about it.
+		// It also gets a rejoin token to get back in with after losing its connection, in case the
+		// invite it came with has expired by then. It keeps that invite's member limit.
+		// Members also get TURN credentials here, and ask for fresh ones with 'turn-credentials'
+		const admittedBy = msg.invite ? usableInvite(msg.invite, roomId, msg.peerId) : null;
+		const rejoinPayload = { t: 'rejoin', r: roomId, p: ws._peerId, exp: Math.floor(Date.now() / 1000 + config.rejoinTtlS) };
+		if (admittedBy && admittedBy.max) rejoinPayload.max = admittedBy.max;
+		const rejoin = signToken(rejoinPayload);
+		const relay = config.relayEnabled ? { maxFrameBytes: config.relayMaxFrameBytes, rateBytesPerSec: config.relayRateBytesPerSec } : null;
+		sendTo(ws, { type: 'joined', roomId, peerId: ws._peerId, peers: [...room.peers.keys()], rejoin, relay, turn: turnCredentials() });
+		broadcast(room, { type: 'peer-joined', roomId, peerId: ws._peerId });
+		room.peers.set(ws._peerId, ws);
+		metrics.joins.inc({ result: 'joined' });
+		log.log(`Peer ${ws._peerId} joined room ${roomId} (size=${room.peers.size})`);
+	}
+
+	wss.on('connection', (ws, req) => {
+		ws._roomId = null;
+		ws._peerId = null;
+		ws._alive = true;
+		ws._messageBucket = {};
+		ws._relayBucket = {};
+		ws._rateLimitedAt = 0;
+		ws._ip = req.socket.remoteAddress;
+		ws._joins = Promise.resolve();  // Joins are handled one after the other (see join)
+		metrics.connections.inc();
+
+		ws.on('pong', () => {
+			ws._alive = true;
+		});
+
+		ws.on('message', (raw) => {
+			// Too chatty? Drop the message, and say so (but not more than once a second, or the
+			// complaints would become a flood of their own)
+			if (!takeTokens(ws._messageBucket, 1, config.messageRatePerSec, config.messageBurst)) {
+				metrics.rejected.inc({ code: 'rate-limited' });
+				const now = Date.now();
+				if (now - ws._rateLimitedAt >= 1000) {
+					ws._rateLimitedAt = now;
+					sendError(ws, 'rate-limited', 'Too many messages - slow down');
+				}
+				return;
+			}
+
+			let msg;
+			try {
+				msg = JSON.parse(raw.toString());
+			} catch (e) {
+				reject(ws, 'invalid-json', 'Messages must be JSON');
+				return;
+			}
+			if (!isObject(msg)) {
+				reject(ws, 'invalid-message', 'Messages must be JSON objects');
+				return;
+			}
+			const schema = Object.hasOwn(SCHEMAS, msg.type) ? SCHEMAS[msg.type] : null;
+			if (!schema) {
+				reject(ws, 'unknown-type', `Unknown message type ${JSON.stringify(msg.type)}`);
+				return;
+			}
+			if (typeof msg.roomId !== 'string' || !ROOM_ID_PATTERN.test(msg.roomId)) {
+				reject(ws, 'invalid-message', `${msg.type}: roomId must be 1-64 characters`);
+				return;
+			}
+			const problem = schema(msg);
+			if (problem) {
+				reject(ws, 'invalid-message', `${msg.type}: ${problem}`);
+				return;
+			}
+
+			metrics.messages.inc({ type: msg.type });
+			if (msg.type === 'join') {
+				if (!takeAuthBudget(ws._ip)) {
+					metrics.joins.inc({ result: 'rate-limited' });
+					reject(ws, 'too-many-joins', 'Too many join attempts - wait a moment and try again');
+					return;
+				}
+				ws._joins = ws._joins.then(() => join(ws, msg)).catch((err) => log.warn(`Join to room ${msg.roomId} failed: ${err.message}`));
+				return;
+			}
+
+			// Everything else goes to someone in the room we're in - and only that room
+			if (!ws._roomId) {
+				reject(ws, 'not-joined', 'Join a room first');
+				return;
+			}
+			if (msg.roomId !== ws._roomId) {
+				reject(ws, 'wrong-room', `You are not in room ${msg.roomId}`);
+				return;
+			}
+			if (msg.type === 'turn-credentials') {
+				sendTo(ws, { type: 'turn-credentials', roomId: ws._roomId, turn: turnCredentials() });
+				return;
+			}
+			const room = rooms.get(ws._roomId);
+			const target = room && room.peers.get(msg.to);
+
+			// A reliability-layer frame (base64 in `data`) for a peer we can't reach directly.
+			// Lost frames are fine here - the reliability layer is built for that - so whatever
+			// doesn't fit the caps is dropped without a word
+			if (msg.type === 'relay') {
+				const bytes = Math.ceil(msg.data.length * 3 / 4);
+				let dropped = '';
+				if (!config.relayEnabled) dropped = 'disabled';
+				else if (!target || target === ws) dropped = 'unknown-peer';
+				else if (bytes > config.relayMaxFrameBytes) dropped = 'too-big';
+				else if (!takeRelayBudget(ws, bytes)) dropped = 'rate-limited';
+				if (dropped) {
+					metrics.relayDropped.inc({ reason: dropped });
+					return;
+				}
+				sendTo(target, { type: 'relay', roomId: ws._roomId, from: ws._peerId, data: msg.data });
+				metrics.forwarded.inc({ type: 'relay' });
+				metrics.relayBytes.inc({}, bytes);
+				return;
+			}
+
+			// When someone sends an offer, answer, or ICE candidate, we pass it along to the peer it is
+			// addressed to (`to`), stamped with who sent it (`from`) so the receiver knows who is calling.
+			// This is how WebRTC peers find each other and establish a direct connection
+			if (!target || target === ws) {
+				reject(ws, 'unknown-peer', `No peer ${msg.to} in this room`);
+				return;
+			}
+			sendTo(target, { ...msg, roomId: ws._roomId, from: ws._peerId });
+			metrics.forwarded.inc({ type: msg.type });
+		});
+
+		// Protocol errors (like a message over maxPayload) end the connection - the close handler
+		// cleans up. Without a listener they would take the whole server down
+		ws.on('error', (err) => log.warn(`Connection of peer ${ws._peerId} failed: ${err.message}`));
+		ws.on('close', () => leaveRoom(ws));
+	});
+
+	// Heartbeats: a laptop that went to sleep or a dropped Wi-Fi never says goodbye, so its
+	// socket would sit in its room forever. Every interval we ping everyone; whoever hasn't
+	// answered the previous ping by now is cut off, which makes them leave their room
+	const heartbeat = setInterval(() => {
+		forgetFullAuthBuckets();
+		for (const ws of wss.clients) {
+			if (!ws._alive) {
+				log.log(`Peer ${ws._peerId} stopped answering pings - dropping it`);
+				metrics.evictions.inc();
+				ws.terminate();
+				continue;
+			}
+			ws._alive = false;
+			ws.ping();
+		}
+	}, config.heartbeatIntervalMs);
+
+	function close() {
+		clearInterval(heartbeat);
+		for (const ws of wss.clients) ws.terminate();
+		wss.close();
+		return new Promise((resolve) => server.close(() => resolve()));
+	}
+
+	return { app, server, wss, close };
+}
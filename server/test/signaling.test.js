@@ -0,0 +1,444 @@
+// Drives the signaling server with real WebSocket clients: node --test
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { WebSocket } from 'ws';
+import { createSignalingServer } from '../signaling.js';
+
+const quiet = { log() {}, warn() {} };
+
+// Start a server on a free port with the given options
+async function startServer(options = {}) {
+	const signaling = createSignalingServer({ log: quiet, tokenSecret: 'test-secret', ...options });
+	await new Promise((resolve) => signaling.server.listen(0, '127.0.0.1', resolve));
+	const { port } = signaling.server.address();
+	return { ...signaling, wsUrl: `ws://127.0.0.1:${port}/ws`, httpUrl: `http://127.0.0.1:${port}` };
+}
+
+// A test client that keeps every message it gets, so a test can wait for the one it expects
+function connect(url, options) {
+	return new Promise((resolve, reject) => {
+		const ws = new WebSocket(url, options);
+		const inbox = [];
+		const waiters = [];
+		ws.on('message', (raw) => {
+			const msg = JSON.parse(raw.toString());
+			const i = waiters.findIndex((waiter) => waiter.match(msg));
+			if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+			else inbox.push(msg);
+		});
+		const client = {
+			ws,
+			send: (msg) => ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+			// The next message of this type (or matching this function), waiting up to `ms` for it
+			next(match, ms = 1000) {
+				const test = typeof match === 'function' ? match : (msg) => msg.type === match;
+				const i = inbox.findIndex(test);
+				if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+				return new Promise((resolve, reject) => {
+					const waiter = { match: test, resolve };
+					waiters.push(waiter);
+					setTimeout(() => {
+						const at = waiters.indexOf(waiter);
+						if (at < 0) return;
+						waiters.splice(at, 1);
+						reject(new Error(`No ${typeof match === 'string' ? match : 'matching'} message within ${ms}ms`));
+					}, ms);
+				});
+			},
+			// Nothing matching arrives within `ms`
+			async nothing(match, ms = 200) {
+				await assert.rejects(client.next(match, ms));
+			},
+			closed: () => new Promise((resolve) => (ws.readyState === WebSocket.CLOSED ? resolve(null) : ws.once('close', (code) => resolve(code)))),
+			close: () => ws.terminate()
+		};
+		ws.once('open', () => resolve(client));
+		ws.once('error', reject);
+	});
+}
+
+async function joinRoom(url, roomId, extra = {}) {
+	const client = await connect(url);
+	client.send({ type: 'join', roomId, ...extra });
+	const joined = await client.next((msg) => msg.type === 'joined' || msg.type === 'join-error');
+	client.peerId = joined.peerId;
+	client.joined = joined;
+	return client;
+}
+
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+
+describe('signaling server', () => {
+	let signaling;
+	const clients = [];
+	const track = (client) => {
+		clients.push(client);
+		return client;
+	};
+	const join = async (roomId, extra) => track(await joinRoom(signaling.wsUrl, roomId, extra));
+
+	before(async () => {
+		// All these tests join from the same address - the join limit gets its own test below
+		signaling = await startServer({ authBurst: 1000 });
+	});
+
+	after(async () => {
+		for (const client of clients) client.close();
+		await signaling.close();
+	});
+
+	describe('rooms and presence', () => {
+		it('hands out peer ids and tells everyone who comes and goes', async () => {
+			const a = await join('presence');
+			assert.equal(a.joined.type, 'joined');
+			assert.match(a.peerId, /^[0-9a-f]{8}$/);
+			assert.deepEqual(a.joined.peers, []);
+
+			const b = await join('presence');
+			assert.deepEqual(b.joined.peers, [a.peerId]);
+			assert.equal((await a.next('peer-joined')).peerId, b.peerId);
+
+			b.close();
+			assert.equal((await a.next('peer-left')).peerId, b.peerId);
+		});
+
+		it('gives a rejoining peer its old id back if it is free', async () => {
+			const a = await join('rejoin');
+			const watcher = await join('rejoin');
+			a.close();
+			await watcher.next('peer-left');
+			const again = await join('rejoin', { peerId: a.peerId });
+			assert.equal(again.peerId, a.peerId);
+
+			const thief = await join('rejoin', { peerId: a.peerId });
+			assert.notEqual(thief.peerId, a.peerId);
+		});
+
+		it('moves a socket that joins another room out of its old one', async () => {
+			const stayer = await join('first');
+			const mover = await join('first');
+			await stayer.next('peer-joined');
+			mover.send({ type: 'join', roomId: 'second' });
+			const moved = await mover.next('joined');
+			assert.equal((await stayer.next('peer-left')).peerId, mover.peerId);
+			const newcomer = await join('second');
+			assert.deepEqual(newcomer.joined.peers, [moved.peerId]);
+		});
+
+		it('keeps a socket in its room when it is refused entry to another one', async () => {
+			await join('locked-next-door', { password: 'pw' });
+			const stayer = await join('home');
+			const wanderer = await join('home');
+			await stayer.next('peer-joined');
+			wanderer.send({ type: 'join', roomId: 'locked-next-door', password: 'wrong' });
+			assert.equal((await wanderer.next('join-error')).reason, 'wrong-password');
+			await stayer.nothing('peer-left');
+			wanderer.send({ type: 'offer', roomId: 'home', to: stayer.peerId, sdp: OFFER });
+			assert.equal((await stayer.next('offer')).from, wanderer.peerId);
+		});
+	});
+
+	describe('routing', () => {
+		it('delivers signaling only to the addressed peer, stamped with the sender', async () => {
+			const a = await join('routing');
+			const b = await join('routing');
+			const c = await join('routing');
+			a.send({ type: 'offer', roomId: 'routing', to: b.peerId, sdp: OFFER });
+			const offer = await b.next('offer');
+			assert.equal(offer.from, a.peerId);
+			assert.deepEqual(offer.sdp, OFFER);
+			await c.nothing('offer');
+		});
+
+		it('answers with an error for a peer that is not in the room', async () => {
+			const a = await join('nobody-home');
+			a.send({ type: 'offer', roomId: 'nobody-home', to: '00000000', sdp: OFFER });
+			assert.equal((await a.next('error')).code, 'unknown-peer');
+		});
+
+		it('refuses signaling before joining a room', async () => {
+			const a = track(await connect(signaling.wsUrl));
+			a.send({ type: 'offer', roomId: 'anything', to: '00000000', sdp: OFFER });
+			assert.equal((await a.next('error')).code, 'not-joined');
+		});
+
+		it('only lets a socket signal into its own room', async () => {
+			const insider = await join('private');
+			const outsider = await join('elsewhere');
+			outsider.send({ type: 'offer', roomId: 'private', to: insider.peerId, sdp: OFFER });
+			assert.equal((await outsider.next('error')).code, 'wrong-room');
+			await insider.nothing('offer');
+		});
+	});
+
+	describe('validation', () => {
+		const cases = [
+			['not JSON', '{nope', 'invalid-json'],
+			['not an object', '[1, 2]', 'invalid-message'],
+			['an unknown type', { type: 'explode', roomId: 'v' }, 'unknown-type'],
+			['a missing roomId', { type: 'join' }, 'invalid-message'],
+			['an overlong roomId', { type: 'join', roomId: 'x'.repeat(65) }, 'invalid-message'],
+			['a non-string password', { type: 'join', roomId: 'v', password: 42 }, 'invalid-message'],
+			['an offer without a target', { type: 'offer', roomId: 'v', sdp: OFFER }, 'invalid-message'],
+			['an offer with an answer inside', { type: 'offer', roomId: 'v', to: '00000000', sdp: { type: 'answer', sdp: '' } }, 'invalid-message'],
+			['a candidate that is not a candidate', { type: 'candidate', roomId: 'v', to: '00000000', candidate: 'host' }, 'invalid-message'],
+			['a relay frame without data', { type: 'relay', roomId: 'v', to: '00000000' }, 'invalid-message']
+		];
+		for (const [name, msg, code] of cases) {
+			it(`rejects ${name}`, async () => {
+				const a = track(await connect(signaling.wsUrl));
+				a.send(msg);
+				const error = await a.next('error');
+				assert.equal(error.code, code);
+				assert.equal(typeof error.message, 'string');
+			});
+		}
+
+		it('keeps the connection usable after a bad message', async () => {
+			const a = track(await connect(signaling.wsUrl));
+			a.send('{nope');
+			await a.next('error');
+			a.send({ type: 'join', roomId: 'still-here' });
+			await a.next('joined');
+		});
+	});
+
+	describe('access control', () => {
+		it('holds password rooms to their password', async () => {
+			await join('locked', { password: 'hunter2' });
+			assert.equal((await join('locked')).joined.reason, 'password-required');
+			assert.equal((await join('locked', { password: 'wrong' })).joined.reason, 'wrong-password');
+			assert.equal((await join('locked', { password: 'hunter2' })).joined.type, 'joined');
+		});
+
+		it('mints invites that open the room, up to their member limit', async () => {
+			await join('invites', { password: 'pw' });
+			const denied = await fetch(`${signaling.httpUrl}/invite`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ roomId: 'invites' })
+			});
+			assert.equal(denied.status, 403);
+			const res = await fetch(`${signaling.httpUrl}/invite`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ roomId: 'invites', password: 'pw', maxMembers: 2 })
+			});
+			const { token } = await res.json();
+			assert.equal((await join('invites', { invite: token })).joined.type, 'joined');
+			assert.equal((await join('invites', { invite: token })).joined.reason, 'full');
+			assert.equal((await join('other', { invite: token })).joined.reason, 'bad-invite');
+		});
+
+		it("doesn't let a member's rejoin token or invite get around its invite's limits", async () => {
+			const mint = async (body) => {
+				const res = await fetch(`${signaling.httpUrl}/invite`, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ roomId: 'limited', ...body })
+				});
+				return { status: res.status, ...(await res.json()) };
+			};
+			const readToken = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+			const owner = await join('limited', { password: 'pw' });
+			const { token } = await mint({ password: 'pw', maxMembers: 2, ttlSeconds: 60 });
+			const guest = await join('limited', { invite: token });
+			const { rejoin } = guest.joined;
+			assert.equal((await join('limited', { invite: token })).joined.reason, 'full');
+			assert.equal((await join('limited', { invite: rejoin })).joined.reason, 'bad-invite');
+			assert.equal((await mint({ invite: rejoin, ttlSeconds: 7 * 24 * 60 * 60 })).status, 403);
+
+			// Once there's room again, the invite only mints invites as tight as itself
+			guest.close();
+			await owner.next('peer-left');
+			const child = readToken((await mint({ invite: token, ttlSeconds: 7 * 24 * 60 * 60 })).token);
+			assert.equal(child.max, 2);
+			assert.ok(child.exp <= readToken(token).exp);
+
+			// The rejoin token still brings the guest itself back
+			const back = await join('limited', { invite: rejoin, peerId: guest.peerId });
+			assert.equal(back.peerId, guest.peerId);
+			assert.equal(readToken(back.joined.rejoin).max, 2);
+		});
+	});
+
+	describe('relay', () => {
+		it('forwards frames to the addressed peer', async () => {
+			const a = await join('relay');
+			const b = await join('relay');
+			a.send({ type: 'relay', roomId: 'relay', to: b.peerId, data: 'AAEC' });
+			const frame = await b.next('relay');
+			assert.equal(frame.from, a.peerId);
+			assert.equal(frame.data, 'AAEC');
+		});
+
+		it('drops frames over the size cap', async () => {
+			const a = await join('relay-cap');
+			const b = await join('relay-cap');
+			a.send({ type: 'relay', roomId: 'relay-cap', to: b.peerId, data: 'A'.repeat(100 * 1024) });
+			await b.nothing('relay');
+		});
+	});
+
+	describe('metrics', () => {
+		// The value of one series in a Prometheus text exposition, or undefined
+		const metric = (text, series) => {
+			const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+			return line && Number(line.slice(series.length + 1));
+		};
+		const scrape = async () => {
+			const res = await fetch(`${signaling.httpUrl}/metrics`);
+			assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+			return res.text();
+		};
+
+		it('counts rooms, connections, forwarded and rejected messages', async () => {
+			const before = await scrape();
+			const a = await join('metrics');
+			const b = await join('metrics');
+			a.send({ type: 'offer', roomId: 'metrics', to: b.peerId, sdp: OFFER });
+			await b.next('offer');
+			a.send({ type: 'relay', roomId: 'metrics', to: b.peerId, data: 'AAECAwQF' });
+			await b.next('relay');
+			a.send('{nope');
+			await a.next('error');
+			await join('metrics-locked', { password: 'pw' });
+			await join('metrics-locked');
+
+			const after = await scrape();
+			const grew = (series) => (metric(after, series) || 0) - (metric(before, series) || 0);
+			assert.match(after, /# TYPE signaling_messages_forwarded_total counter/);
+			assert.ok(metric(after, 'signaling_rooms') >= 2);
+			assert.ok(metric(after, 'signaling_connections') >= 4);
+			assert.equal(grew('signaling_connections_total'), 4);
+			assert.equal(grew('signaling_joins_total{result="joined"}'), 3);
+			assert.equal(grew('signaling_joins_total{result="password-required"}'), 1);
+			assert.equal(grew('signaling_messages_forwarded_total{type="offer"}'), 1);
+			assert.equal(grew('signaling_messages_forwarded_total{type="relay"}'), 1);
+			assert.equal(grew('signaling_relay_bytes_total'), 6);
+			assert.equal(grew('signaling_messages_rejected_total{code="invalid-json"}'), 1);
+		});
+
+		it('keeps room names out of it', async () => {
+			await join('secret-meeting');
+			assert.doesNotMatch(await scrape(), /secret-meeting/);
+		});
+	});
+
+	describe('ICE config', () => {
+		it('hands out STUN servers', async () => {
+			const config = await (await fetch(`${signaling.httpUrl}/ice-config`)).json();
+			assert.deepEqual(config.iceServers, [{ urls: ['stun:stun.l.google.com:19302'] }]);
+			assert.equal(config.ttl, 0);
+		});
+	});
+});
+
+describe('signaling server limits', () => {
+	it('closes connections that send oversized messages', async () => {
+		const signaling = await startServer({ maxMessageBytes: 1024 });
+		try {
+			const a = await connect(signaling.wsUrl);
+			a.send({ type: 'join', roomId: 'big', password: 'x'.repeat(2048) });
+			assert.equal(await a.closed(), 1009);
+		} finally {
+			await signaling.close();
+		}
+	});
+
+	it('rate-limits chatty connections', async () => {
+		const signaling = await startServer({ messageRatePerSec: 5, messageBurst: 5 });
+		try {
+			const a = await joinRoom(signaling.wsUrl, 'chatty');
+			for (let i = 0; i < 20; i++) a.send({ type: 'offer', roomId: 'chatty', to: '00000000', sdp: OFFER });
+			const limited = await a.next((msg) => msg.code === 'rate-limited');
+			assert.equal(limited.type, 'error');
+			a.close();
+		} finally {
+			await signaling.close();
+		}
+	});
+
+	it('rate-limits join attempts and invites per address', async () => {
+		const signaling = await startServer({ authRatePerSec: 0.1, authBurst: 3 });
+		try {
+			const a = await joinRoom(signaling.wsUrl, 'guarded', { password: 'pw' });
+			a.send({ type: 'join', roomId: 'guarded', password: 'guess-1' });
+			assert.equal((await a.next('join-error')).reason, 'wrong-password');
+			// A fresh socket doesn't get a fresh budget
+			const b = await joinRoom(signaling.wsUrl, 'guarded', { password: 'guess-2' });
+			assert.equal(b.joined.reason, 'wrong-password');
+			b.send({ type: 'join', roomId: 'guarded', password: 'guess-3' });
+			assert.equal((await b.next('error')).code, 'too-many-joins');
+			const res = await fetch(`${signaling.httpUrl}/invite`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ roomId: 'guarded', password: 'pw' })
+			});
+			assert.equal(res.status, 429);
+			a.close();
+			b.close();
+		} finally {
+			await signaling.close();
+		}
+	});
+
+	it('evicts clients that stop answering pings', async () => {
+		const signaling = await startServer({ heartbeatIntervalMs: 50 });
+		try {
+			const alive = await joinRoom(signaling.wsUrl, 'heartbeat');
+			const dead = await connect(signaling.wsUrl, { autoPong: false });
+			dead.send({ type: 'join', roomId: 'heartbeat' });
+			const { peerId } = await dead.next('joined');
+			assert.equal((await alive.next('peer-left', 1000)).peerId, peerId);
+			// The one that did answer is still around
+			assert.equal(alive.ws.readyState, WebSocket.OPEN);
+			alive.close();
+		} finally {
+			await signaling.close();
+		}
+	});
+
+	it('wants the metrics token if one is set', async () => {
+		const signaling = await startServer({ metricsToken: 'scrape-me' });
+		try {
+			assert.equal((await fetch(`${signaling.httpUrl}/metrics`)).status, 401);
+			const res = await fetch(`${signaling.httpUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-me' } });
+			assert.equal(res.status, 200);
+			assert.match(await res.text(), /signaling_rooms 0/);
+		} finally {
+			await signaling.close();
+		}
+	});
+
+	it('gives signed TURN REST credentials only to members of a room', async () => {
+		const signaling = await startServer({ turnUrls: ['turn:turn.example.com:3478'], turnSecret: 's3cret', turnTtlS: 600 });
+		const checkTurn = ({ iceServers, ttl }) => {
+			const [turn] = iceServers;
+			assert.equal(ttl, 600);
+			assert.deepEqual(turn.urls, ['turn:turn.example.com:3478']);
+			assert.ok(Math.abs(Number(turn.username) - (Date.now() / 1000 + 600)) < 5);
+			assert.equal(turn.credential, createHmac('sha1', 's3cret').update(turn.username).digest('base64'));
+		};
+		let outsider, member;
+		try {
+			const config = await (await fetch(`${signaling.httpUrl}/ice-config`)).json();
+			assert.ok(!config.iceServers.some((server) => server.username));
+			assert.equal(config.ttl, 0);
+
+			outsider = await connect(signaling.wsUrl);
+			outsider.send({ type: 'turn-credentials', roomId: 'turn-room' });
+			assert.equal((await outsider.next('error')).code, 'not-joined');
+
+			member = await joinRoom(signaling.wsUrl, 'turn-room');
+			checkTurn(member.joined.turn);
+			member.send({ type: 'turn-credentials', roomId: 'turn-room' });
+			checkTurn((await member.next('turn-credentials')).turn);
+		} finally {
+			outsider?.close();
+			member?.close();
+			await signaling.close();
+		}
+	});
+});